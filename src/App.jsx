@@ -1,4 +1,18 @@
-import { Suspense, lazy, useCallback, useEffect, useMemo, useState } from "react";
+import { Suspense, lazy, useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { isRenderableFontAxis, readVariationAxes, snapFontWidth } from "./lib/fontAxes.js";
+import {
+  INTL_SANS_FALLBACK,
+  getFallbackFontStack,
+  getPrimaryFontFamily,
+  watchFontFamily,
+} from "./lib/fontReadiness.js";
+import { readStoredFont, registerFontFile, writeStoredFont } from "./lib/fontStore.js";
+import {
+  getInteractionModes,
+  isBuiltInInteractionMode,
+  isInteractionMode,
+} from "./lib/interactionModes.js";
+import { slugifyWord } from "./lib/slug.js";
 
 const TypographyMeshHero = lazy(() => import("./components/TypographyMeshHero.jsx"));
 
@@ -8,65 +22,120 @@ const MOTION_PRESETS = {
   cinematic: { flow: 1, drag: 1, camera: 1, settle: 1.06 },
 };
 const MOTION_PRESET_IDS = ["calm", "energetic", "cinematic"];
-const INTERACTION_MODE_IDS = [
-  "fluid",
-  "nebula",
-  "tide",
-  "vortex",
-  "ripple",
-  "magnet",
-];
-const MODE_STRENGTH_DEFAULTS = {
-  fluid: 1,
-  nebula: 1,
-  tide: 1,
-  vortex: 1,
-  ripple: 1,
-  magnet: 1,
+const TIMELINE_PRESETS = {
+  reveal: { mesh: 0.6, converge: 1.8, hold: 0.6, solid: 1 },
+  standard: { mesh: 2.6, converge: 4.6, hold: 1.9, solid: 2.9 },
+  ambient: { mesh: 6, converge: 14, hold: 4, solid: 6 },
 };
-const MODE_STRENGTH_PARAM_KEYS = {
-  fluid: "msf",
-  nebula: "msn",
-  tide: "mst",
-  vortex: "msv",
-  ripple: "msr",
-  magnet: "msm",
+const TIMELINE_PRESET_IDS = Object.keys(TIMELINE_PRESETS);
+const TIMELINE_PHASE_KEYS = ["mesh", "converge", "hold", "solid"];
+const TIMELINE_PARAM_KEYS = {
+  mesh: "tm",
+  converge: "tc",
+  hold: "th",
+  solid: "ts",
 };
+const WORD_MAX_LENGTH = 64;
+const TEXT_ALIGN_IDS = ["left", "center", "right"];
+const PLAYLIST_ORDER_IDS = ["sequential", "shuffle"];
+const PLAYLIST_END_IDS = ["loop", "stop"];
+const PLAYLIST_MAX_WORDS = 12;
+const PLAYLIST_DEFAULT_HOLD = 2.4;
+const TARGET_MODE_IDS = ["text", "logo"];
+const LOGO_GLYPH_SETS = {
+  alnum: { label: "A-Z 0-9", glyphs: "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789" },
+  binary: { label: "Binary", glyphs: "01" },
+  symbols: { label: "Symbols", glyphs: "#+*=%@&" },
+  word: { label: "Word", glyphs: null },
+};
+const LOGO_GLYPH_SET_IDS = Object.keys(LOGO_GLYPH_SETS);
+// Filler glyphs fill the foreground grid around the target word; background
+// glyphs make up the ambient letter mesh. Repeats weight a glyph.
+const GLYPH_SET_PRESETS = {
+  ascii: {
+    label: "ASCII",
+    foreground: "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789",
+    background: "##++**==%%@@&&//\\\\||??!!~~^^::",
+  },
+  binary: { label: "Binary", foreground: "01", background: "0011" },
+  hex: {
+    label: "Hex",
+    foreground: "0123456789ABCDEF",
+    background: "0123456789ABCDEF",
+  },
+  "box-drawing": {
+    label: "Box Drawing",
+    foreground: "─│┌┐└┘├┤┬┴┼═║╔╗╚╝╠╣╦╩╬",
+    background: "──││┼┼╱╲╳═║╬",
+  },
+  katakana: {
+    label: "Katakana",
+    foreground: "アイウエオカキクケコサシスセソタチツテトナニヌネノハヒフヘホマミムメモヤユヨラリルレロワヲン",
+    background: "ｦｱｳｴｵｶｷｹｺｻｼｽｾｿﾀﾂﾃﾅﾆﾇﾈﾊﾋﾎﾏﾐﾑﾒﾓﾔﾕﾗﾘﾜ",
+  },
+  braille: {
+    label: "Braille",
+    foreground: "⠁⠃⠉⠙⠑⠋⠛⠓⠊⠚⠅⠇⠍⠝⠕⠏⠟⠗⠎⠞⠥⠧⠺⠭⠽⠵",
+    background: "⠂⠆⠖⠶⠷⠿⡿⣿⣷⣶⣦⣤⣄⣀",
+  },
+};
+const GLYPH_SET_PRESET_IDS = Object.keys(GLYPH_SET_PRESETS);
+const GLYPH_SET_SIDES = ["foreground", "background"];
+const GLYPH_SET_PARAM_KEYS = { foreground: "gf", background: "gb" };
+const GLYPH_SET_MAX_LENGTH = 256;
+const LOGO_FILE_TYPES = ["image/svg+xml", "image/png"];
+const LOGO_MAX_BYTES = 2 * 1024 * 1024;
+// Larger images still work for the session but are not written to storage.
+const LOGO_STORAGE_LIMIT = 1024 * 1024;
+const SIMULATION_BACKENDS = ["cpu", "worker", "gpu"];
 
+// The serif presets' counterpart to INTL_SANS_FALLBACK.
+const INTL_SERIF_FALLBACK =
+  '"Hiragino Mincho ProN", "Noto Serif CJK JP", "Songti SC", "SimSun", "AppleMyungjo", "Noto Naskh Arabic", "Noto Serif Hebrew"';
 const FONT_PRESETS = {
   geist: {
     id: "geist",
     label: "Geist Pixel",
-    line: '"Geist Pixel Line", ui-monospace, SFMono-Regular, Menlo, Monaco, monospace',
-    solid: '"Geist Pixel Square", ui-monospace, SFMono-Regular, Menlo, Monaco, monospace',
-    background:
-      '"Geist Pixel Line", ui-monospace, SFMono-Regular, Menlo, Monaco, monospace',
+    line: `"Geist Pixel Line", ui-monospace, SFMono-Regular, Menlo, Monaco, ${INTL_SANS_FALLBACK}, monospace`,
+    solid: `"Geist Pixel Square", ui-monospace, SFMono-Regular, Menlo, Monaco, ${INTL_SANS_FALLBACK}, monospace`,
+    background: `"Geist Pixel Line", ui-monospace, SFMono-Regular, Menlo, Monaco, ${INTL_SANS_FALLBACK}, monospace`,
   },
   mono: {
     id: "mono",
     label: "Mono",
-    line: 'ui-monospace, SFMono-Regular, Menlo, Monaco, "Cascadia Mono", "Segoe UI Mono", monospace',
-    solid:
-      'ui-monospace, SFMono-Regular, Menlo, Monaco, "Cascadia Mono", "Segoe UI Mono", monospace',
-    background:
-      'ui-monospace, SFMono-Regular, Menlo, Monaco, "Cascadia Mono", "Segoe UI Mono", monospace',
+    line: `ui-monospace, SFMono-Regular, Menlo, Monaco, "Cascadia Mono", "Segoe UI Mono", ${INTL_SANS_FALLBACK}, monospace`,
+    solid: `ui-monospace, SFMono-Regular, Menlo, Monaco, "Cascadia Mono", "Segoe UI Mono", ${INTL_SANS_FALLBACK}, monospace`,
+    background: `ui-monospace, SFMono-Regular, Menlo, Monaco, "Cascadia Mono", "Segoe UI Mono", ${INTL_SANS_FALLBACK}, monospace`,
   },
   sans: {
     id: "sans",
     label: "Sans",
-    line: '"Helvetica Neue", Helvetica, Arial, sans-serif',
-    solid: '"Helvetica Neue", Helvetica, Arial, sans-serif',
-    background: '"Helvetica Neue", Helvetica, Arial, sans-serif',
+    line: `"Helvetica Neue", Helvetica, Arial, ${INTL_SANS_FALLBACK}, sans-serif`,
+    solid: `"Helvetica Neue", Helvetica, Arial, ${INTL_SANS_FALLBACK}, sans-serif`,
+    background: `"Helvetica Neue", Helvetica, Arial, ${INTL_SANS_FALLBACK}, sans-serif`,
   },
   serif: {
     id: "serif",
     label: "Serif",
-    line: '"Times New Roman", Times, Georgia, serif',
-    solid: '"Times New Roman", Times, Georgia, serif',
-    background: '"Times New Roman", Times, Georgia, serif',
+    line: `"Times New Roman", Times, Georgia, ${INTL_SERIF_FALLBACK}, serif`,
+    solid: `"Times New Roman", Times, Georgia, ${INTL_SERIF_FALLBACK}, serif`,
+    background: `"Times New Roman", Times, Georgia, ${INTL_SERIF_FALLBACK}, serif`,
   },
 };
 const FONT_PRESET_IDS = Object.keys(FONT_PRESETS);
+const STANDARD_FONT_AXES = [
+  { tag: "wght", label: "Weight", min: 100, max: 900, default: 400 },
+  { tag: "wdth", label: "Width", min: 50, max: 200, default: 100 },
+  { tag: "slnt", label: "Slant", min: -20, max: 20, default: 0 },
+];
+const FONT_AXIS_TAG_PATTERN = /^[A-Za-z0-9 ]{4}$/;
+const FONT_STATUS_LABELS = {
+  loaded: "Loaded",
+  loading: "Loading…",
+  fallback: "Not available, using fallback",
+};
+const FONT_FILE_PATTERN = /\.(woff2?|ttf|otf)$/i;
+const FONT_FILE_MAX_BYTES = 10 * 1024 * 1024;
 const PAPER_PALETTE_IDS = ["prism", "aurora", "mono"];
 const PAPER_EFFECT_IDS = ["warp", "swirl", "waves", "rays"];
 const BACKGROUND_MESH_STYLE_IDS = ["letters", "dotgrid", "grain"];
@@ -80,14 +149,93 @@ const PAPER_GRAIN_SHAPE_IDS = [
   "blob",
   "sphere",
 ];
+const SNAPSHOT_SIZE_PRESETS = {
+  "1x": { label: "1x", options: { scale: 1 } },
+  "2x": { label: "2x", options: { scale: 2 } },
+  "4k": { label: "4K", options: { longEdge: 3840 } },
+};
+const SNAPSHOT_SIZE_IDS = Object.keys(SNAPSHOT_SIZE_PRESETS);
+const RECORD_FPS_OPTIONS = [24, 30, 60];
+const RECORD_STOP_MODE_IDS = ["manual", "solid", "seconds"];
+const CAN_RECORD_MP4 =
+  typeof MediaRecorder !== "undefined" && MediaRecorder.isTypeSupported("video/mp4");
 
+// The limit counts code points, so the input has no maxLength: that counts
+// UTF-16 units and would cut emoji short or split a surrogate pair.
 function sanitizeWord(value) {
-  return value
-    .toUpperCase()
-    .replace(/[^A-Z0-9 ]/g, "")
-    .replace(/\s+/g, " ")
-    .trimStart()
-    .slice(0, 18);
+  // "|" is reserved as the playlist separator in share URLs.
+  return Array.from(
+    String(value)
+      .replace(/[\p{Cc}\p{Cs}\u2028\u2029|]/gu, "")
+      .replace(/\s+/g, " ")
+      .trimStart(),
+  )
+    .slice(0, WORD_MAX_LENGTH)
+    .join("");
+}
+
+function normalizeTextLayout(value, fallback) {
+  const source = value && typeof value === "object" ? value : {};
+  const maxWidth = Number(source.maxWidth);
+  const lineHeight = Number(source.lineHeight);
+  return {
+    maxWidth: Number.isFinite(maxWidth)
+      ? Math.max(0.3, Math.min(1, maxWidth))
+      : fallback.maxWidth,
+    lineHeight: Number.isFinite(lineHeight)
+      ? Math.max(0.6, Math.min(2, lineHeight))
+      : fallback.lineHeight,
+    align: TEXT_ALIGN_IDS.includes(source.align) ? source.align : fallback.align,
+  };
+}
+
+function sanitizeGlyphSet(value) {
+  if (typeof value !== "string") return "";
+  return Array.from(value.replace(/[\p{Cc}\p{Cs}\s]/gu, ""))
+    .slice(0, GLYPH_SET_MAX_LENGTH)
+    .join("");
+}
+
+function normalizeGlyphSets(value, fallback) {
+  const source = value && typeof value === "object" ? value : {};
+  return Object.fromEntries(
+    GLYPH_SET_SIDES.map((side) => [side, sanitizeGlyphSet(source[side]) || fallback[side]]),
+  );
+}
+
+function getGlyphSetPreset(glyphs, side) {
+  return (
+    GLYPH_SET_PRESET_IDS.find((presetId) => GLYPH_SET_PRESETS[presetId][side] === glyphs) ??
+    "custom"
+  );
+}
+
+// "gf=hex" names a preset; "gf=custom&gfc=..." carries the glyphs themselves.
+function parseGlyphSetParams(params, fallback) {
+  return normalizeGlyphSets(
+    Object.fromEntries(
+      GLYPH_SET_SIDES.map((side) => {
+        const key = GLYPH_SET_PARAM_KEYS[side];
+        const presetId = params.get(key);
+        if (GLYPH_SET_PRESET_IDS.includes(presetId)) {
+          return [side, GLYPH_SET_PRESETS[presetId][side]];
+        }
+        return [side, presetId === "custom" ? params.get(`${key}c`) : null];
+      }),
+    ),
+    fallback,
+  );
+}
+
+function sanitizeSeed(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 0) return null;
+  return parsed % 4294967296;
+}
+
+function createSeed() {
+  return Math.floor(Math.random() * 4294967296);
 }
 
 function clampMotion(value) {
@@ -96,6 +244,57 @@ function clampMotion(value) {
   return Math.max(0.5, Math.min(1.6, parsed));
 }
 
+function clampPlaylistHold(value) {
+  if (value === null || value === undefined || value === "") {
+    return PLAYLIST_DEFAULT_HOLD;
+  }
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed)) return PLAYLIST_DEFAULT_HOLD;
+  return Math.max(0.5, Math.min(30, parsed));
+}
+
+function normalizePlaylistEntries(value) {
+  if (!Array.isArray(value)) return [];
+  return value
+    .map((entry) => ({
+      word: sanitizeWord(String(entry?.word ?? "")).trim(),
+      hold: clampPlaylistHold(entry?.hold),
+    }))
+    .filter((entry) => entry.word.length > 0)
+    .slice(0, PLAYLIST_MAX_WORDS);
+}
+
+function normalizePlaylistSettings(value, fallback) {
+  const source = value && typeof value === "object" ? value : {};
+  return {
+    enabled: typeof source.enabled === "boolean" ? source.enabled : fallback.enabled,
+    entries: Array.isArray(source.entries)
+      ? normalizePlaylistEntries(source.entries)
+      : fallback.entries,
+    order: PLAYLIST_ORDER_IDS.includes(source.order) ? source.order : fallback.order,
+    end: PLAYLIST_END_IDS.includes(source.end) ? source.end : fallback.end,
+  };
+}
+
+function clampPhaseDuration(value, fallback) {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed)) return fallback;
+  return Math.max(0.2, Math.min(20, parsed));
+}
+
+function normalizeTimelineDurations(value, fallback = TIMELINE_PRESETS.standard) {
+  const source = value && typeof value === "object" ? value : {};
+  const normalized = {};
+  for (const phase of TIMELINE_PHASE_KEYS) {
+    normalized[phase] = clampPhaseDuration(source[phase] ?? fallback[phase], fallback[phase]);
+  }
+  return normalized;
+}
+
+function areTimelineDurationsEqual(a, b) {
+  return TIMELINE_PHASE_KEYS.every((phase) => Math.abs(a[phase] - b[phase]) < 0.0001);
+}
+
 function clampPaperIntensity(value) {
   const parsed = Number(value);
   if (!Number.isFinite(parsed)) return 0.32;
@@ -120,19 +319,148 @@ function clampPaperDotDensity(value) {
   return Math.max(0.1, Math.min(1, parsed));
 }
 
+// The worker and GPU backends fall back to the main-thread loop when they are
+// unavailable; density only applies while the GPU backend is running.
+function normalizeSimulationSettings(value, fallback) {
+  const source = value && typeof value === "object" ? value : {};
+  const density = Number.parseFloat(source.density);
+  return {
+    backend: SIMULATION_BACKENDS.includes(source.backend) ? source.backend : fallback.backend,
+    density: Number.isFinite(density)
+      ? Math.max(1, Math.min(10, Math.round(density * 2) / 2))
+      : fallback.density,
+  };
+}
+
 function clampModeStrength(value) {
   const parsed = Number(value);
   if (!Number.isFinite(parsed)) return 1;
   return Math.max(0.4, Math.min(1.8, parsed));
 }
 
+function clampSnapshotDimension(value, fallback) {
+  const parsed = Math.round(Number(value));
+  if (!Number.isFinite(parsed)) return fallback;
+  return Math.max(16, Math.min(8192, parsed));
+}
+
+function normalizeLogoSettings(value, fallback) {
+  const source = value && typeof value === "object" ? value : {};
+  const x = Number(source.x);
+  const y = Number(source.y);
+  const scale = Number(source.scale);
+  const threshold = Number(source.threshold);
+  return {
+    x: Number.isFinite(x) ? Math.max(-0.5, Math.min(0.5, x)) : fallback.x,
+    y: Number.isFinite(y) ? Math.max(-0.5, Math.min(0.5, y)) : fallback.y,
+    scale: Number.isFinite(scale) ? Math.max(0.1, Math.min(1.5, scale)) : fallback.scale,
+    threshold: Number.isFinite(threshold)
+      ? Math.max(1, Math.min(254, Math.round(threshold)))
+      : fallback.threshold,
+    glyphSet: LOGO_GLYPH_SET_IDS.includes(source.glyphSet)
+      ? source.glyphSet
+      : fallback.glyphSet,
+  };
+}
+
+function readFileAsDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error ?? new Error("Could not read file"));
+    reader.readAsDataURL(file);
+  });
+}
+
+function svgMarkupToDataUrl(markup) {
+  return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup.trim())}`;
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 function sanitizeCustomFontFamily(value) {
   if (typeof value !== "string") return "";
   return value.replace(/[<>`]/g, "").trim().slice(0, 120);
 }
 
 function isFontPreset(value) {
-  return FONT_PRESET_IDS.includes(value) || value === "custom";
+  return FONT_PRESET_IDS.includes(value) || value === "custom" || value === "uploaded";
+}
+
+function normalizeFontAxisValues(value) {
+  if (!value || typeof value !== "object") return {};
+  const normalized = {};
+  for (const [tag, raw] of Object.entries(value)) {
+    const parsed = Number(raw);
+    if (FONT_AXIS_TAG_PATTERN.test(tag) && Number.isFinite(parsed)) {
+      // Width renders as a font-stretch keyword, so the slider shows that step.
+      const value = tag === "wdth" ? snapFontWidth(parsed) : parsed;
+      normalized[tag] = Math.max(-1000, Math.min(1000, value));
+    }
+  }
+  return normalized;
+}
+
+// "wght:700,wdth:87.5" <-> { wght: 700, wdth: 87.5 }
+function parseFontAxisParam(value) {
+  if (!value) return {};
+  return normalizeFontAxisValues(
+    Object.fromEntries(value.split(",").map((pair) => pair.split(":"))),
+  );
+}
+
+function serializeFontAxisParam(values) {
+  return Object.entries(values)
+    .map(([tag, value]) => `${tag}:${Number(value.toFixed(2))}`)
+    .join(",");
+}
+
+function resolveFontAxes(uploadedAxes, values) {
+  // The loaded font's own ranges win; standard axes stay available either way.
+  // Fonts without readable axes (WOFF2, or no fvar table) keep the standard
+  // ranges, and the font clamps them itself.
+  const axes = STANDARD_FONT_AXES.map((axis) => {
+    const registered = uploadedAxes?.find((entry) => entry.tag === axis.tag);
+    return registered ? { ...axis, ...registered } : axis;
+  });
+  for (const registered of uploadedAxes ?? []) {
+    if (!axes.some((axis) => axis.tag === registered.tag)) {
+      axes.push({ ...registered, label: registered.tag });
+    }
+  }
+  const resolved = axes.map((axis) => ({
+    ...axis,
+    unavailable: isRenderableFontAxis(axis.tag) ? null : "not renderable in this browser",
+  }));
+  // Values from a saved state or link for an axis no current font has are
+  // listed rather than dropped, so they come back with the font.
+  for (const [tag, value] of Object.entries(values)) {
+    if (!resolved.some((axis) => axis.tag === tag)) {
+      resolved.push({
+        tag,
+        label: tag,
+        min: Math.min(0, value),
+        max: Math.max(0, value),
+        default: value,
+        unavailable: "not in this font",
+      });
+    }
+  }
+  return resolved;
+}
+
+function getFontFileLabel(fileName) {
+  const label = sanitizeCustomFontFamily(String(fileName).replace(FONT_FILE_PATTERN, ""));
+  return label.slice(0, 24) || "Uploaded";
 }
 
 function normalizeFontPreset(value, fallback = "geist") {
@@ -159,21 +487,42 @@ function normalizePaperGrainShape(value, fallback = "corners") {
   return PAPER_GRAIN_SHAPE_IDS.includes(value) ? value : fallback;
 }
 
-function normalizeModeStrengths(value, fallback = MODE_STRENGTH_DEFAULTS) {
+function normalizeModeStrengths(value, fallback = {}) {
   const source = value && typeof value === "object" ? value : {};
   const normalized = {};
-  for (const modeId of INTERACTION_MODE_IDS) {
+  for (const { id: modeId } of getInteractionModes()) {
     normalized[modeId] = clampModeStrength(source[modeId] ?? fallback[modeId] ?? 1);
   }
   return normalized;
 }
 
-function resolveForegroundFont(fontPreset, customFontFamily) {
+// Drops the primary family until it is usable, so the hero only rebuilds
+// against real metrics once the font is ready.
+function resolveCustomFontStack(customFontFamily, status) {
+  const custom = sanitizeCustomFontFamily(customFontFamily);
+  return status === "loaded" ? custom : getFallbackFontStack(custom);
+}
+
+function resolveForegroundFont(fontPreset, customFontFamily, uploadedFont, customStatus) {
+  if (fontPreset === "uploaded") {
+    // Until the stored face has loaded, keep the default so the atlas is only
+    // rebuilt once the real glyphs are available.
+    const family = uploadedFont
+      ? `"${uploadedFont.family}", ui-monospace, SFMono-Regular, Menlo, Monaco, ${INTL_SANS_FALLBACK}, monospace`
+      : FONT_PRESETS.geist.solid;
+    return {
+      line: family,
+      solid: family,
+      label: uploadedFont?.label ?? "Uploaded",
+    };
+  }
+
   if (fontPreset === "custom") {
     const custom = sanitizeCustomFontFamily(customFontFamily);
+    const stack = resolveCustomFontStack(custom, customStatus);
     const family =
-      custom.length > 0
-        ? `${custom}, ui-monospace, SFMono-Regular, Menlo, Monaco, monospace`
+      stack.length > 0
+        ? `${stack}, ui-monospace, SFMono-Regular, Menlo, Monaco, ${INTL_SANS_FALLBACK}, monospace`
         : FONT_PRESETS.geist.solid;
     return {
       line: family,
@@ -190,12 +539,22 @@ function resolveForegroundFont(fontPreset, customFontFamily) {
   };
 }
 
-function resolveBackgroundFont(fontPreset, customFontFamily) {
+function resolveBackgroundFont(fontPreset, customFontFamily, uploadedFont, customStatus) {
+  if (fontPreset === "uploaded") {
+    return {
+      background: uploadedFont
+        ? `"${uploadedFont.family}", ui-monospace, SFMono-Regular, Menlo, Monaco, ${INTL_SANS_FALLBACK}, monospace`
+        : FONT_PRESETS.geist.background,
+      label: uploadedFont?.label ?? "Uploaded",
+    };
+  }
+
   if (fontPreset === "custom") {
     const custom = sanitizeCustomFontFamily(customFontFamily);
+    const stack = resolveCustomFontStack(custom, customStatus);
     const family =
-      custom.length > 0
-        ? `${custom}, ui-monospace, SFMono-Regular, Menlo, Monaco, monospace`
+      stack.length > 0
+        ? `${stack}, ui-monospace, SFMono-Regular, Menlo, Monaco, ${INTL_SANS_FALLBACK}, monospace`
         : FONT_PRESETS.geist.background;
     return {
       background: family,
@@ -215,9 +574,23 @@ function parseInitialState() {
     interactionMode: "fluid",
     colorMode: "white",
     word: "GEIST",
-    modeStrengths: { ...MODE_STRENGTH_DEFAULTS },
+    playlist: { enabled: false, entries: [], order: "sequential", end: "loop" },
+    textLayout: { maxWidth: 0.9, lineHeight: 0.92, align: "center" },
+    fontAxisValues: {},
+    glyphSets: {
+      foreground: GLYPH_SET_PRESETS.ascii.foreground,
+      background: GLYPH_SET_PRESETS.ascii.background,
+    },
+    targetMode: "text",
+    logoSource: "",
+    logoSettings: { x: 0, y: 0, scale: 1, threshold: 28, glyphSet: "alnum" },
+    seed: createSeed(),
+    modeStrengths: normalizeModeStrengths(null),
+    simulation: { backend: "cpu", density: 1 },
+    offscreen: false,
     motionPreset: "cinematic",
     motionSettings: { ...MOTION_PRESETS.cinematic },
+    timelineDurations: { ...TIMELINE_PRESETS.standard },
     foregroundFontPreset: "geist",
     foregroundCustomFontFamily: "",
     backgroundFontPreset: "geist",
@@ -253,6 +626,22 @@ function parseInitialState() {
   const base = saved
     ? {
         ...fallback,
+        seed: sanitizeSeed(saved.seed) ?? fallback.seed,
+        playlist: normalizePlaylistSettings(saved.playlist, fallback.playlist),
+        textLayout: normalizeTextLayout(saved.textLayout, fallback.textLayout),
+        fontAxisValues: normalizeFontAxisValues(saved.fontAxisValues),
+        glyphSets: normalizeGlyphSets(saved.glyphSets, fallback.glyphSets),
+        simulation: normalizeSimulationSettings(saved.simulation, fallback.simulation),
+        offscreen:
+          typeof saved.offscreen === "boolean" ? saved.offscreen : fallback.offscreen,
+        logoSource:
+          typeof saved.logoSource === "string" && saved.logoSource.startsWith("data:image/")
+            ? saved.logoSource
+            : fallback.logoSource,
+        logoSettings: normalizeLogoSettings(saved.logoSettings, fallback.logoSettings),
+        targetMode: TARGET_MODE_IDS.includes(saved.targetMode)
+          ? saved.targetMode
+          : fallback.targetMode,
         motionPreset:
           typeof saved.motionPreset === "string"
             ? saved.motionPreset
@@ -263,6 +652,10 @@ function parseInitialState() {
           camera: clampMotion(saved.motionSettings?.camera ?? fallback.motionSettings.camera),
           settle: clampMotion(saved.motionSettings?.settle ?? fallback.motionSettings.settle),
         },
+        timelineDurations: normalizeTimelineDurations(
+          saved.timelineDurations,
+          fallback.timelineDurations,
+        ),
         modeStrengths: normalizeModeStrengths(
           saved.modeStrengths,
           fallback.modeStrengths,
@@ -333,8 +726,53 @@ function parseInitialState() {
     : fallback;
 
   const params = new URLSearchParams(window.location.search);
-  const word = sanitizeWord(params.get("w") || base.word) || base.word;
-  const interactionMode = INTERACTION_MODE_IDS.includes(params.get("m"))
+  const wordParam = params.get("w");
+  const playlistWords = (wordParam ?? "")
+    .split("|")
+    .map((piece) => sanitizeWord(piece).trim())
+    .filter((piece) => piece.length > 0);
+  let playlist = base.playlist;
+  if (playlistWords.length > 1) {
+    const holds = (params.get("wh") ?? "").split("|");
+    playlist = normalizePlaylistSettings(
+      {
+        enabled: true,
+        entries: playlistWords.map((entry, index) => ({ word: entry, hold: holds[index] })),
+        order: params.get("wo"),
+        end: params.get("we"),
+      },
+      base.playlist,
+    );
+  } else if (wordParam !== null) {
+    // A plain shared word takes precedence over a locally saved playlist.
+    playlist = { ...base.playlist, enabled: false };
+  }
+  const word = sanitizeWord(playlistWords[0] || base.word) || base.word;
+  const fontAxisValues = params.has("fa")
+    ? parseFontAxisParam(params.get("fa"))
+    : base.fontAxisValues;
+  const glyphSets = parseGlyphSetParams(params, base.glyphSets);
+  const simulation = normalizeSimulationSettings(
+    { backend: params.get("sim"), density: params.get("pd") },
+    base.simulation,
+  );
+  const offscreen = params.has("oc") ? params.get("oc") === "1" : base.offscreen;
+  // WebGPU is opt-in through ?renderer=webgpu only; it is not saved, so a page
+  // that cannot start it does not keep asking on the next visit.
+  const renderBackend = params.get("renderer") === "webgpu" ? "webgpu" : "webgl";
+  // Shared links carry a word, and a logo only makes sense with its image.
+  const targetMode =
+    wordParam !== null || !base.logoSource ? "text" : base.targetMode;
+  const textLayout = normalizeTextLayout(
+    {
+      maxWidth: params.get("tw") ?? base.textLayout.maxWidth,
+      lineHeight: params.get("tl") ?? base.textLayout.lineHeight,
+      align: params.get("ta") ?? base.textLayout.align,
+    },
+    base.textLayout,
+  );
+  const seed = sanitizeSeed(params.get("sd")) ?? base.seed;
+  const interactionMode = isInteractionMode(params.get("m"))
     ? params.get("m")
     : base.interactionMode;
   const colorMode = ["white", "colorful"].includes(params.get("c"))
@@ -418,11 +856,20 @@ function parseInitialState() {
         settle: clampMotion(params.get("ms") ?? basePresetSettings.settle),
       }
     : { ...basePresetSettings };
+  const timelineDurations = normalizeTimelineDurations(
+    Object.fromEntries(
+      TIMELINE_PHASE_KEYS.map((phase) => [
+        phase,
+        params.get(TIMELINE_PARAM_KEYS[phase]) ?? base.timelineDurations[phase],
+      ]),
+    ),
+    base.timelineDurations,
+  );
   const modeStrengths = normalizeModeStrengths(
     Object.fromEntries(
-      INTERACTION_MODE_IDS.map((modeId) => [
-        modeId,
-        params.get(MODE_STRENGTH_PARAM_KEYS[modeId]) ?? base.modeStrengths[modeId],
+      getInteractionModes().map((mode) => [
+        mode.id,
+        params.get(mode.strengthParam) ?? base.modeStrengths[mode.id],
       ]),
     ),
     base.modeStrengths,
@@ -432,6 +879,17 @@ function parseInitialState() {
     interactionMode,
     colorMode,
     word,
+    playlist,
+    textLayout,
+    fontAxisValues,
+    glyphSets,
+    simulation,
+    offscreen,
+    renderBackend,
+    targetMode,
+    logoSource: base.logoSource,
+    logoSettings: base.logoSettings,
+    seed,
     modeStrengths,
     foregroundFontPreset,
     foregroundCustomFontFamily,
@@ -450,11 +908,14 @@ function parseInitialState() {
     backgroundMeshGrainShape,
     motionPreset: hasCustomMotion ? "custom" : motionPreset,
     motionSettings,
+    timelineDurations,
   };
 }
 
 export default function App() {
   const initialState = useMemo(parseInitialState, []);
+  const heroRef = useRef(null);
+  const sequenceAbortRef = useRef(null);
 
   const [controlsCollapsed, setControlsCollapsed] = useState(false);
   const [interactionMode, setInteractionMode] = useState(
@@ -464,6 +925,20 @@ export default function App() {
   const [colorMode, setColorMode] = useState(initialState.colorMode);
   const [wordInput, setWordInput] = useState(initialState.word);
   const [word, setWord] = useState(initialState.word);
+  const [textLayout, setTextLayout] = useState(initialState.textLayout);
+  const [glyphSets, setGlyphSets] = useState(initialState.glyphSets);
+  const [simulation, setSimulation] = useState(initialState.simulation);
+  const [offscreen, setOffscreen] = useState(initialState.offscreen);
+  const [targetMode, setTargetMode] = useState(initialState.targetMode);
+  const [logoSource, setLogoSource] = useState(initialState.logoSource);
+  const [logoSettings, setLogoSettings] = useState(initialState.logoSettings);
+  const [logoStatus, setLogoStatus] = useState("");
+  const [playlistEnabled, setPlaylistEnabled] = useState(initialState.playlist.enabled);
+  const [playlistEntries, setPlaylistEntries] = useState(initialState.playlist.entries);
+  const [playlistOrder, setPlaylistOrder] = useState(initialState.playlist.order);
+  const [playlistEnd, setPlaylistEnd] = useState(initialState.playlist.end);
+  const [seed, setSeed] = useState(initialState.seed);
+  const [seedInput, setSeedInput] = useState(String(initialState.seed));
   const [foregroundFontPreset, setForegroundFontPreset] = useState(
     initialState.foregroundFontPreset,
   );
@@ -507,14 +982,53 @@ export default function App() {
   const [motionSettings, setMotionSettings] = useState(
     initialState.motionSettings,
   );
+  const [timelineDurations, setTimelineDurations] = useState(
+    initialState.timelineDurations,
+  );
+  const [snapshotSize, setSnapshotSize] = useState("2x");
+  const [snapshotWidth, setSnapshotWidth] = useState("1920");
+  const [snapshotHeight, setSnapshotHeight] = useState("1080");
+  const [recordFormat, setRecordFormat] = useState("webm");
+  const [recordFps, setRecordFps] = useState(30);
+  const [recordBitrate, setRecordBitrate] = useState(12);
+  const [recordStopMode, setRecordStopMode] = useState("solid");
+  const [recordSeconds, setRecordSeconds] = useState(8);
+  const [recordFromStart, setRecordFromStart] = useState(true);
+  const [isRecording, setIsRecording] = useState(false);
+  const [sequenceFps, setSequenceFps] = useState(60);
+  const [sequenceTail, setSequenceTail] = useState(2);
+  const [isExportingFrames, setIsExportingFrames] = useState(false);
+  const [exportStatus, setExportStatus] = useState("");
+
+  const [uploadedFont, setUploadedFont] = useState(null);
+  const [customFontStatus, setCustomFontStatus] = useState({
+    foreground: "loaded",
+    background: "loaded",
+  });
+  const [fontAxisValues, setFontAxisValues] = useState(initialState.fontAxisValues);
+  const [fontFileStatus, setFontFileStatus] = useState("");
+  const uploadedFaceRef = useRef(null);
+  const uploadCountRef = useRef(0);
 
   const foregroundFont = useMemo(
-    () => resolveForegroundFont(foregroundFontPreset, foregroundCustomFontFamily),
-    [foregroundFontPreset, foregroundCustomFontFamily],
+    () =>
+      resolveForegroundFont(
+        foregroundFontPreset,
+        foregroundCustomFontFamily,
+        uploadedFont,
+        customFontStatus.foreground,
+      ),
+    [foregroundFontPreset, foregroundCustomFontFamily, uploadedFont, customFontStatus.foreground],
   );
   const backgroundFont = useMemo(
-    () => resolveBackgroundFont(backgroundFontPreset, backgroundCustomFontFamily),
-    [backgroundFontPreset, backgroundCustomFontFamily],
+    () =>
+      resolveBackgroundFont(
+        backgroundFontPreset,
+        backgroundCustomFontFamily,
+        uploadedFont,
+        customFontStatus.background,
+      ),
+    [backgroundFontPreset, backgroundCustomFontFamily, uploadedFont, customFontStatus.background],
   );
   const fontSet = useMemo(
     () => ({
@@ -524,11 +1038,70 @@ export default function App() {
     }),
     [foregroundFont, backgroundFont],
   );
+  // The offscreen worker only knows the built-in modes and the fonts it can
+  // load itself, so an uploaded font or a page-registered mode keeps the hero
+  // on the main thread. The saved preference is left alone.
+  const offscreenBlocker = !isBuiltInInteractionMode(interactionMode)
+    ? "a custom interaction mode"
+    : uploadedFont && (foregroundFontPreset === "uploaded" || backgroundFontPreset === "uploaded")
+      ? "an uploaded font"
+      : null;
+  const offscreenActive = offscreen && offscreenBlocker === null;
+  const fontAxisControls = useMemo(
+    () =>
+      resolveFontAxes(
+        foregroundFontPreset === "uploaded" ? uploadedFont?.axes : null,
+        fontAxisValues,
+      ),
+    [foregroundFontPreset, uploadedFont, fontAxisValues],
+  );
+  // Only axes moved away from their default reach the hero, so an untouched
+  // panel renders exactly as before.
+  const fontAxes = useMemo(() => {
+    const active = {};
+    for (const axis of fontAxisControls) {
+      const value = fontAxisValues[axis.tag];
+      if (value !== undefined && Math.abs(value - axis.default) > 0.0001) {
+        active[axis.tag] = Math.max(axis.min, Math.min(axis.max, value));
+      }
+    }
+    return Object.keys(active).length > 0 ? active : null;
+  }, [fontAxisControls, fontAxisValues]);
   const fontLabel = useMemo(
     () => `FG:${foregroundFont.label} BG:${backgroundFont.label}`,
     [foregroundFont, backgroundFont],
   );
   const currentModeStrength = modeStrengths[interactionMode] ?? 1;
+  const timeline = useMemo(() => {
+    const meshEnd = timelineDurations.mesh;
+    const convergeEnd = meshEnd + timelineDurations.converge;
+    const holdEnd = convergeEnd + timelineDurations.hold;
+    const solidEnd = holdEnd + timelineDurations.solid;
+    return { meshEnd, convergeEnd, holdEnd, solidEnd };
+  }, [timelineDurations]);
+  const targetImage = useMemo(() => {
+    if (targetMode !== "logo" || !logoSource) return null;
+    return {
+      src: logoSource,
+      x: logoSettings.x,
+      y: logoSettings.y,
+      scale: logoSettings.scale,
+      threshold: logoSettings.threshold,
+      glyphs: LOGO_GLYPH_SETS[logoSettings.glyphSet].glyphs ?? word,
+    };
+  }, [targetMode, logoSource, logoSettings, word]);
+  const playlistActive = playlistEnabled && playlistEntries.length > 1;
+  const playlist = useMemo(
+    () =>
+      playlistActive
+        ? { words: playlistEntries, order: playlistOrder, end: playlistEnd }
+        : null,
+    [playlistActive, playlistEntries, playlistOrder, playlistEnd],
+  );
+  const activeTimelinePreset =
+    TIMELINE_PRESET_IDS.find((presetId) =>
+      areTimelineDurationsEqual(TIMELINE_PRESETS[presetId], timelineDurations),
+    ) ?? "custom";
   const paperFx = useMemo(
     () => ({
       enabled: paperFxEnabled,
@@ -565,6 +1138,21 @@ export default function App() {
   );
   const persistedSettings = useMemo(
     () => ({
+      seed,
+      textLayout,
+      fontAxisValues,
+      glyphSets,
+      simulation,
+      offscreen,
+      targetMode,
+      logoSource: logoSource.length <= LOGO_STORAGE_LIMIT ? logoSource : "",
+      logoSettings,
+      playlist: {
+        enabled: playlistEnabled,
+        entries: playlistEntries,
+        order: playlistOrder,
+        end: playlistEnd,
+      },
       modeStrengths,
       foregroundFontPreset,
       foregroundCustomFontFamily,
@@ -583,8 +1171,22 @@ export default function App() {
       backgroundMeshGrainShape,
       motionPreset,
       motionSettings,
+      timelineDurations,
     }),
     [
+      seed,
+      textLayout,
+      fontAxisValues,
+      glyphSets,
+      simulation,
+      offscreen,
+      targetMode,
+      logoSource,
+      logoSettings,
+      playlistEnabled,
+      playlistEntries,
+      playlistOrder,
+      playlistEnd,
       modeStrengths,
       foregroundFontPreset,
       foregroundCustomFontFamily,
@@ -603,14 +1205,47 @@ export default function App() {
       backgroundMeshGrainShape,
       motionPreset,
       motionSettings,
+      timelineDurations,
     ],
   );
 
   useEffect(() => {
     const timeoutId = window.setTimeout(() => {
       const params = new URLSearchParams(window.location.search);
-      params.set("w", word);
+      if (playlistActive) {
+        params.set("w", playlistEntries.map((entry) => entry.word).join("|"));
+        params.set("wh", playlistEntries.map((entry) => entry.hold.toFixed(1)).join("|"));
+        params.set("wo", playlistOrder);
+        params.set("we", playlistEnd);
+      } else {
+        params.set("w", word);
+        params.delete("wh");
+        params.delete("wo");
+        params.delete("we");
+      }
+      params.set("sd", String(seed));
+      params.set("tw", textLayout.maxWidth.toFixed(2));
+      params.set("tl", textLayout.lineHeight.toFixed(2));
+      params.set("ta", textLayout.align);
+      if (Object.keys(fontAxisValues).length > 0) {
+        params.set("fa", serializeFontAxisParam(fontAxisValues));
+      } else {
+        params.delete("fa");
+      }
+      for (const side of GLYPH_SET_SIDES) {
+        const key = GLYPH_SET_PARAM_KEYS[side];
+        const presetId = getGlyphSetPreset(glyphSets[side], side);
+        params.set(key, presetId);
+        if (presetId === "custom") {
+          params.set(`${key}c`, glyphSets[side]);
+        } else {
+          params.delete(`${key}c`);
+        }
+      }
       params.set("m", interactionMode);
+      params.set("sim", simulation.backend);
+      params.set("pd", String(simulation.density));
+      params.set("oc", offscreen ? "1" : "0");
       params.set("c", colorMode);
       params.set("ff", foregroundFontPreset);
       params.set("bf", backgroundFontPreset);
@@ -650,11 +1285,11 @@ export default function App() {
       params.set("md", motionSettings.drag.toFixed(2));
       params.set("mc", motionSettings.camera.toFixed(2));
       params.set("ms", motionSettings.settle.toFixed(2));
-      for (const modeId of INTERACTION_MODE_IDS) {
-        params.set(
-          MODE_STRENGTH_PARAM_KEYS[modeId],
-          (modeStrengths[modeId] ?? 1).toFixed(2),
-        );
+      for (const phase of TIMELINE_PHASE_KEYS) {
+        params.set(TIMELINE_PARAM_KEYS[phase], timelineDurations[phase].toFixed(2));
+      }
+      for (const mode of getInteractionModes()) {
+        params.set(mode.strengthParam, (modeStrengths[mode.id] ?? 1).toFixed(2));
       }
 
       const query = params.toString();
@@ -667,18 +1302,23 @@ export default function App() {
     return () => window.clearTimeout(timeoutId);
   }, [
     word,
+    playlistActive,
+    playlistEntries,
+    playlistOrder,
+    playlistEnd,
+    textLayout,
+    fontAxisValues,
+    glyphSets,
+    simulation,
+    offscreen,
+    seed,
     interactionMode,
     colorMode,
     foregroundFontPreset,
     foregroundCustomFontFamily,
     backgroundFontPreset,
     backgroundCustomFontFamily,
-    modeStrengths.fluid,
-    modeStrengths.nebula,
-    modeStrengths.tide,
-    modeStrengths.vortex,
-    modeStrengths.ripple,
-    modeStrengths.magnet,
+    modeStrengths,
     paperFxEnabled,
     paperFxIntensity,
     paperFxPalette,
@@ -695,6 +1335,7 @@ export default function App() {
     motionSettings.drag,
     motionSettings.camera,
     motionSettings.settle,
+    timelineDurations,
   ]);
 
   useEffect(() => {
@@ -711,6 +1352,26 @@ export default function App() {
     return () => window.clearTimeout(timeoutId);
   }, [persistedSettings]);
 
+  useEffect(() => {
+    const family =
+      foregroundFontPreset === "custom"
+        ? getPrimaryFontFamily(sanitizeCustomFontFamily(foregroundCustomFontFamily))
+        : "";
+    return watchFontFamily(family, (status) =>
+      setCustomFontStatus((previous) => ({ ...previous, foreground: status })),
+    );
+  }, [foregroundFontPreset, foregroundCustomFontFamily]);
+
+  useEffect(() => {
+    const family =
+      backgroundFontPreset === "custom"
+        ? getPrimaryFontFamily(sanitizeCustomFontFamily(backgroundCustomFontFamily))
+        : "";
+    return watchFontFamily(family, (status) =>
+      setCustomFontStatus((previous) => ({ ...previous, background: status })),
+    );
+  }, [backgroundFontPreset, backgroundCustomFontFamily]);
+
   const applyWord = useCallback(() => {
     const nextWord = sanitizeWord(wordInput);
     if (nextWord.length > 0) {
@@ -719,6 +1380,187 @@ export default function App() {
     }
   }, [wordInput]);
 
+  const updateTextLayout = useCallback((key, value) => {
+    setTextLayout((previous) =>
+      normalizeTextLayout({ ...previous, [key]: value }, previous),
+    );
+  }, []);
+
+  const updateGlyphSet = useCallback((side, value) => {
+    setGlyphSets((previous) => ({ ...previous, [side]: sanitizeGlyphSet(value) }));
+  }, []);
+
+  const updateLogoSetting = useCallback((key, value) => {
+    setLogoSettings((previous) =>
+      normalizeLogoSettings({ ...previous, [key]: value }, previous),
+    );
+  }, []);
+
+  const loadLogoFile = useCallback(async (file) => {
+    if (!file) return;
+    if (!LOGO_FILE_TYPES.includes(file.type)) {
+      setLogoStatus("Use an SVG or PNG image");
+      return;
+    }
+    if (file.size > LOGO_MAX_BYTES) {
+      setLogoStatus("Image is larger than 2 MB");
+      return;
+    }
+    try {
+      const dataUrl = await readFileAsDataUrl(file);
+      setLogoSource(dataUrl);
+      setTargetMode("logo");
+      setLogoStatus(`Loaded ${file.name || "pasted image"}`);
+    } catch (error) {
+      setLogoStatus(error instanceof Error ? error.message : "Could not read image");
+    }
+  }, []);
+
+  const pasteLogo = useCallback(
+    (event) => {
+      event.preventDefault();
+      const [file] = event.clipboardData.files;
+      if (file) {
+        loadLogoFile(file);
+        return;
+      }
+      const markup = event.clipboardData.getData("text/plain");
+      if (/<svg[\s>]/i.test(markup)) {
+        setLogoSource(svgMarkupToDataUrl(markup));
+        setTargetMode("logo");
+        setLogoStatus("Loaded pasted SVG");
+        return;
+      }
+      setLogoStatus("Paste SVG markup or a PNG image");
+    },
+    [loadLogoFile],
+  );
+
+  const installFontFile = useCallback(async (name, buffer) => {
+    // A fresh family name per upload changes the font stack, which is what
+    // makes the hero rebuild its atlases through applyFontSet.
+    uploadCountRef.current += 1;
+    const family = `Mesh Upload ${uploadCountRef.current}`;
+    const [face, axes] = await Promise.all([
+      registerFontFile(family, buffer),
+      readVariationAxes(buffer),
+    ]);
+    if (uploadedFaceRef.current) {
+      document.fonts.delete(uploadedFaceRef.current);
+    }
+    uploadedFaceRef.current = face;
+    setUploadedFont({ family, label: getFontFileLabel(name), axes });
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    readStoredFont()
+      .then((record) => {
+        if (cancelled || !record) return undefined;
+        return installFontFile(record.name, record.buffer);
+      })
+      .catch(() => {
+        // A missing or unreadable cache just leaves the uploaded preset unset.
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [installFontFile]);
+
+  const loadFontFile = useCallback(
+    async (file, target) => {
+      if (!file) return;
+      if (!FONT_FILE_PATTERN.test(file.name)) {
+        setFontFileStatus("Use a WOFF, WOFF2, TTF or OTF file");
+        return;
+      }
+      if (file.size > FONT_FILE_MAX_BYTES) {
+        setFontFileStatus("Font file is larger than 10 MB");
+        return;
+      }
+
+      setFontFileStatus(`Loading ${file.name}…`);
+      let buffer;
+      try {
+        buffer = await file.arrayBuffer();
+        await installFontFile(file.name, buffer);
+      } catch {
+        setFontFileStatus(`Could not load ${file.name}`);
+        return;
+      }
+
+      if (target === "background") {
+        setBackgroundFontPreset("uploaded");
+      } else {
+        setForegroundFontPreset("uploaded");
+      }
+      try {
+        await writeStoredFont(file.name, buffer);
+        setFontFileStatus(`Loaded ${file.name}`);
+      } catch {
+        setFontFileStatus(`Loaded ${file.name} (not saved for next visit)`);
+      }
+    },
+    [installFontFile],
+  );
+
+  const dropFontFile = useCallback(
+    (event, target) => {
+      event.preventDefault();
+      loadFontFile(event.dataTransfer.files?.[0], target);
+    },
+    [loadFontFile],
+  );
+
+  const updateFontAxis = useCallback((tag, value) => {
+    setFontAxisValues((previous) => normalizeFontAxisValues({ ...previous, [tag]: value }));
+  }, []);
+
+  const enablePlaylist = useCallback(() => {
+    setPlaylistEnabled(true);
+    setPlaylistEntries((previous) =>
+      previous.length > 0 ? previous : [{ word, hold: PLAYLIST_DEFAULT_HOLD }],
+    );
+  }, [word]);
+
+  const addPlaylistWord = useCallback(() => {
+    const nextWord = sanitizeWord(wordInput).trim();
+    if (nextWord.length === 0) return;
+    setPlaylistEntries((previous) =>
+      previous.length >= PLAYLIST_MAX_WORDS
+        ? previous
+        : [...previous, { word: nextWord, hold: PLAYLIST_DEFAULT_HOLD }],
+    );
+  }, [wordInput]);
+
+  const updatePlaylistHold = useCallback((index, value) => {
+    setPlaylistEntries((previous) =>
+      previous.map((entry, entryIndex) =>
+        entryIndex === index ? { ...entry, hold: clampPlaylistHold(value) } : entry,
+      ),
+    );
+  }, []);
+
+  const removePlaylistWord = useCallback((index) => {
+    setPlaylistEntries((previous) =>
+      previous.filter((_, entryIndex) => entryIndex !== index),
+    );
+  }, []);
+
+  const updateSeedInput = useCallback((value) => {
+    setSeedInput(value);
+    const nextSeed = sanitizeSeed(value);
+    if (nextSeed !== null) {
+      setSeed(nextSeed);
+    }
+  }, []);
+
+  const rerollSeed = useCallback(() => {
+    const nextSeed = createSeed();
+    setSeed(nextSeed);
+    setSeedInput(String(nextSeed));
+  }, []);
+
   const applyMotionPreset = useCallback((presetId) => {
     const preset = MOTION_PRESETS[presetId];
     if (!preset) return;
@@ -734,6 +1576,13 @@ export default function App() {
     }));
   }, []);
 
+  const updateTimelineDuration = useCallback((phase, value) => {
+    setTimelineDurations((previous) => ({
+      ...previous,
+      [phase]: clampPhaseDuration(value, previous[phase]),
+    }));
+  }, []);
+
   const updateCurrentModeStrength = useCallback(
     (value) => {
       const next = clampModeStrength(value);
@@ -745,6 +1594,118 @@ export default function App() {
     [interactionMode],
   );
 
+  const exportSizeOptions = useMemo(
+    () =>
+      snapshotSize === "custom"
+        ? {
+            width: clampSnapshotDimension(snapshotWidth, 1920),
+            height: clampSnapshotDimension(snapshotHeight, 1080),
+          }
+        : SNAPSHOT_SIZE_PRESETS[snapshotSize].options,
+    [snapshotSize, snapshotWidth, snapshotHeight],
+  );
+
+  const takeSnapshot = useCallback(async () => {
+    const exporter = heroRef.current;
+    if (!exporter) {
+      setExportStatus("Renderer is still loading");
+      return;
+    }
+
+    setExportStatus("Rendering snapshot…");
+    try {
+      const result = await exporter.snapshot(exportSizeOptions);
+      downloadBlob(
+        result.blob,
+        `geist-mesh-${slugifyWord(result.word)}-${seed}-${result.width}x${result.height}.png`,
+      );
+      setExportStatus(`Saved ${result.width}×${result.height} PNG`);
+    } catch (error) {
+      setExportStatus(error instanceof Error ? error.message : "Snapshot failed");
+    }
+  }, [seed, exportSizeOptions]);
+
+  const toggleFrameExport = useCallback(async () => {
+    const exporter = heroRef.current;
+    if (!exporter) {
+      setExportStatus("Renderer is still loading");
+      return;
+    }
+    if (isExportingFrames) {
+      sequenceAbortRef.current?.abort();
+      return;
+    }
+
+    const controller = new AbortController();
+    sequenceAbortRef.current = controller;
+    setIsExportingFrames(true);
+    setExportStatus("Rendering frames…");
+    try {
+      const result = await exporter.exportFrameSequence({
+        ...exportSizeOptions,
+        fps: sequenceFps,
+        tailSeconds: sequenceTail,
+        signal: controller.signal,
+        onProgress: (frame, total) => setExportStatus(`Frame ${frame}/${total}`),
+      });
+      const size = `${result.width}x${result.height}`;
+      downloadBlob(
+        result.blob,
+        `geist-mesh-${slugifyWord(result.word)}-${seed}-${size}-${result.fps}fps.zip`,
+      );
+      setExportStatus(`Saved ${result.frames} frames`);
+    } catch (error) {
+      setExportStatus(error instanceof Error ? error.message : "Frame export failed");
+    } finally {
+      sequenceAbortRef.current = null;
+      setIsExportingFrames(false);
+    }
+  }, [seed, isExportingFrames, exportSizeOptions, sequenceFps, sequenceTail]);
+
+  const toggleRecording = useCallback(async () => {
+    const exporter = heroRef.current;
+    if (!exporter) {
+      setExportStatus("Renderer is still loading");
+      return;
+    }
+    if (isRecording) {
+      exporter.stopRecording();
+      return;
+    }
+
+    setIsRecording(true);
+    setExportStatus("Recording…");
+    try {
+      const result = await exporter.startRecording({
+        format: recordFormat,
+        fps: recordFps,
+        bitrate: recordBitrate * 1_000_000,
+        restart: recordFromStart,
+        stopAtSolid: recordStopMode === "solid",
+        maxSeconds: recordStopMode === "seconds" ? recordSeconds : 0,
+      });
+      const extension = result.mimeType.startsWith("video/mp4") ? "mp4" : "webm";
+      downloadBlob(
+        result.blob,
+        `geist-mesh-${slugifyWord(result.word)}-${seed}-${recordFps}fps.${extension}`,
+      );
+      setExportStatus(`Saved ${result.duration.toFixed(1)}s ${extension.toUpperCase()}`);
+    } catch (error) {
+      setExportStatus(error instanceof Error ? error.message : "Recording failed");
+    } finally {
+      setIsRecording(false);
+    }
+  }, [
+    seed,
+    isRecording,
+    recordFormat,
+    recordFps,
+    recordBitrate,
+    recordFromStart,
+    recordStopMode,
+    recordSeconds,
+  ]);
+
   return (
     <main className="app">
       <form
@@ -774,14 +1735,127 @@ export default function App() {
             <div className="row">
               <input
                 id="hero-word"
+                className="word-input"
                 type="text"
                 value={wordInput}
                 onChange={(event) => setWordInput(sanitizeWord(event.target.value))}
-                placeholder="TYPE WORD"
-                maxLength={18}
+                placeholder="TYPE WORD / NEXT LINE"
               />
               <button type="submit">Apply</button>
             </div>
+            <div className="preset-toggle" role="group" aria-label="Text alignment">
+              {TEXT_ALIGN_IDS.map((alignId) => (
+                <button
+                  key={alignId}
+                  type="button"
+                  className={textLayout.align === alignId ? "active" : ""}
+                  onClick={() => updateTextLayout("align", alignId)}
+                >
+                  {alignId}
+                </button>
+              ))}
+            </div>
+            <div className="slider-grid">
+              <label>
+                <span>Wrap</span>
+                <input
+                  type="range"
+                  min="0.30"
+                  max="1.00"
+                  step="0.01"
+                  value={textLayout.maxWidth}
+                  onChange={(event) => updateTextLayout("maxWidth", event.target.value)}
+                />
+                <b>{Math.round(textLayout.maxWidth * 100)}%</b>
+              </label>
+              <label>
+                <span>Leading</span>
+                <input
+                  type="range"
+                  min="0.60"
+                  max="2.00"
+                  step="0.01"
+                  value={textLayout.lineHeight}
+                  onChange={(event) => updateTextLayout("lineHeight", event.target.value)}
+                />
+                <b>{textLayout.lineHeight.toFixed(2)}</b>
+              </label>
+            </div>
+            <div className="color-toggle" role="group" aria-label="Word source">
+              <button
+                type="button"
+                className={!playlistEnabled ? "active" : ""}
+                onClick={() => setPlaylistEnabled(false)}
+              >
+                Single Word
+              </button>
+              <button
+                type="button"
+                className={playlistEnabled ? "active" : ""}
+                onClick={enablePlaylist}
+              >
+                Playlist
+              </button>
+            </div>
+            {playlistEnabled ? (
+              <div className="playlist-control">
+                <p>
+                  Playlist ({playlistEntries.length}/{PLAYLIST_MAX_WORDS})
+                  {playlistActive ? "" : " - add another word to start"}
+                </p>
+                {playlistEntries.map((entry, index) => (
+                  <div className="row playlist-entry" key={`${entry.word}-${index}`}>
+                    <label className="paper-intensity">
+                      <span>{entry.word}</span>
+                      <input
+                        type="range"
+                        min="0.5"
+                        max="30"
+                        step="0.1"
+                        value={entry.hold}
+                        onChange={(event) => updatePlaylistHold(index, event.target.value)}
+                        aria-label={`Hold duration for ${entry.word}`}
+                      />
+                      <b>{entry.hold.toFixed(1)}s</b>
+                    </label>
+                    <button type="button" onClick={() => removePlaylistWord(index)}>
+                      Remove
+                    </button>
+                  </div>
+                ))}
+                <button
+                  type="button"
+                  onClick={addPlaylistWord}
+                  disabled={playlistEntries.length >= PLAYLIST_MAX_WORDS}
+                >
+                  Add Typed Word
+                </button>
+                <div className="color-toggle" role="group" aria-label="Playlist order">
+                  {PLAYLIST_ORDER_IDS.map((orderId) => (
+                    <button
+                      key={orderId}
+                      type="button"
+                      className={playlistOrder === orderId ? "active" : ""}
+                      onClick={() => setPlaylistOrder(orderId)}
+                    >
+                      {orderId === "shuffle" ? "Shuffle" : "Sequential"}
+                    </button>
+                  ))}
+                </div>
+                <div className="color-toggle" role="group" aria-label="Playlist end">
+                  {PLAYLIST_END_IDS.map((endId) => (
+                    <button
+                      key={endId}
+                      type="button"
+                      className={playlistEnd === endId ? "active" : ""}
+                      onClick={() => setPlaylistEnd(endId)}
+                    >
+                      {endId === "stop" ? "Stop At End" : "Loop"}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            ) : null}
             <div className="color-toggle" role="group" aria-label="Text color mode">
               <button
                 type="button"
@@ -798,13 +1872,132 @@ export default function App() {
                 Colorful
               </button>
             </div>
+            <label htmlFor="hero-seed">Composition Seed</label>
+            <div className="row">
+              <input
+                id="hero-seed"
+                type="text"
+                inputMode="numeric"
+                value={seedInput}
+                onChange={(event) =>
+                  updateSeedInput(event.target.value.replace(/\D/g, ""))
+                }
+                maxLength={10}
+              />
+              <button type="button" onClick={rerollSeed}>
+                Reroll
+              </button>
+            </div>
+          </div>
+        </details>
+
+        <details className="control-section" open>
+          <summary>Logo Target</summary>
+          <div className="section-body logo-control">
+            <div className="color-toggle" role="group" aria-label="Target source">
+              {TARGET_MODE_IDS.map((modeId) => (
+                <button
+                  key={modeId}
+                  type="button"
+                  className={targetMode === modeId ? "active" : ""}
+                  disabled={modeId === "logo" && !logoSource}
+                  onClick={() => setTargetMode(modeId)}
+                >
+                  {modeId === "logo" ? "Logo" : "Text"}
+                </button>
+              ))}
+            </div>
+            <input
+              type="file"
+              accept=".svg,.png,image/svg+xml,image/png"
+              aria-label="Upload logo"
+              onChange={(event) => {
+                loadLogoFile(event.target.files?.[0]);
+                event.target.value = "";
+              }}
+            />
+            <input
+              type="text"
+              onPaste={pasteLogo}
+              placeholder="Paste SVG or PNG here"
+              aria-label="Paste logo"
+            />
+            <div className="slider-grid">
+              <label>
+                <span>X</span>
+                <input
+                  type="range"
+                  min="-0.50"
+                  max="0.50"
+                  step="0.01"
+                  value={logoSettings.x}
+                  onChange={(event) => updateLogoSetting("x", event.target.value)}
+                />
+                <b>{logoSettings.x.toFixed(2)}</b>
+              </label>
+              <label>
+                <span>Y</span>
+                <input
+                  type="range"
+                  min="-0.50"
+                  max="0.50"
+                  step="0.01"
+                  value={logoSettings.y}
+                  onChange={(event) => updateLogoSetting("y", event.target.value)}
+                />
+                <b>{logoSettings.y.toFixed(2)}</b>
+              </label>
+              <label>
+                <span>Scale</span>
+                <input
+                  type="range"
+                  min="0.10"
+                  max="1.50"
+                  step="0.01"
+                  value={logoSettings.scale}
+                  onChange={(event) => updateLogoSetting("scale", event.target.value)}
+                />
+                <b>{logoSettings.scale.toFixed(2)}</b>
+              </label>
+              <label>
+                <span>Alpha</span>
+                <input
+                  type="range"
+                  min="1"
+                  max="254"
+                  step="1"
+                  value={logoSettings.threshold}
+                  onChange={(event) => updateLogoSetting("threshold", event.target.value)}
+                />
+                <b>{logoSettings.threshold}</b>
+              </label>
+            </div>
+            <p>Logo Glyphs</p>
+            <div className="preset-toggle" role="group" aria-label="Logo glyph set">
+              {LOGO_GLYPH_SET_IDS.map((setId) => (
+                <button
+                  key={setId}
+                  type="button"
+                  className={logoSettings.glyphSet === setId ? "active" : ""}
+                  onClick={() => updateLogoSetting("glyphSet", setId)}
+                >
+                  {LOGO_GLYPH_SETS[setId].label}
+                </button>
+              ))}
+            </div>
+            {logoStatus ? <p className="logo-status">{logoStatus}</p> : null}
           </div>
         </details>
 
         <details className="control-section" open>
           <summary>Fonts</summary>
           <div className="section-body">
-            <details className="font-section" open>
+            <details
+              className="font-section"
+              open
+              onDragOver={(event) => event.preventDefault()}
+              onDrop={(event) => dropFontFile(event, "foreground")}
+            >
               <summary>Foreground Font</summary>
               <div className="font-control">
                 <div className="preset-toggle" role="group" aria-label="Foreground font preset">
@@ -825,6 +2018,15 @@ export default function App() {
                   >
                     Custom
                   </button>
+                  {uploadedFont ? (
+                    <button
+                      type="button"
+                      className={foregroundFontPreset === "uploaded" ? "active" : ""}
+                      onClick={() => setForegroundFontPreset("uploaded")}
+                    >
+                      {uploadedFont.label}
+                    </button>
+                  ) : null}
                 </div>
                 <label className="font-family-field" htmlFor="custom-font-family-foreground">
                   <span>Custom family stack</span>
@@ -841,11 +2043,75 @@ export default function App() {
                     placeholder='"Space Mono", monospace'
                     maxLength={120}
                   />
+                  {foregroundFontPreset === "custom" && foregroundCustomFontFamily ? (
+                    <small
+                      className={`font-check ${customFontStatus.foreground}`}
+                      role="status"
+                    >
+                      {FONT_STATUS_LABELS[customFontStatus.foreground]}
+                    </small>
+                  ) : null}
+                </label>
+                <label className="font-family-field">
+                  <span>Font file (drop here or browse)</span>
+                  <input
+                    type="file"
+                    accept=".woff,.woff2,.ttf,.otf"
+                    onChange={(event) => {
+                      loadFontFile(event.target.files?.[0], "foreground");
+                      event.target.value = "";
+                    }}
+                  />
                 </label>
+                <p>Axes</p>
+                <div className="slider-grid">
+                  {fontAxisControls.map((axis) => {
+                    const value = fontAxisValues[axis.tag] ?? axis.default;
+                    return (
+                      <label
+                        key={axis.tag}
+                        className={axis.unavailable ? "unavailable" : ""}
+                        title={axis.unavailable ? `${axis.tag}: ${axis.unavailable}` : axis.tag}
+                      >
+                        <span>{axis.label}</span>
+                        <input
+                          type="range"
+                          min={axis.min}
+                          max={axis.max}
+                          step={axis.max - axis.min > 20 ? 1 : 0.1}
+                          value={value}
+                          disabled={Boolean(axis.unavailable)}
+                          onChange={(event) => updateFontAxis(axis.tag, event.target.value)}
+                        />
+                        <b>{Number(value.toFixed(1))}</b>
+                      </label>
+                    );
+                  })}
+                </div>
+                {fontAxisControls.some((axis) => axis.unavailable) ? (
+                  <p className="font-status">
+                    Greyed axes are kept but cannot be drawn: {fontAxisControls
+                      .filter((axis) => axis.unavailable)
+                      .map((axis) => `${axis.tag} (${axis.unavailable})`)
+                      .join(", ")}
+                  </p>
+                ) : null}
+                <button
+                  type="button"
+                  onClick={() => setFontAxisValues({})}
+                  disabled={Object.keys(fontAxisValues).length === 0}
+                >
+                  Reset Axes
+                </button>
               </div>
             </details>
 
-            <details className="font-section" open>
+            <details
+              className="font-section"
+              open
+              onDragOver={(event) => event.preventDefault()}
+              onDrop={(event) => dropFontFile(event, "background")}
+            >
               <summary>Background Font</summary>
               <div className="font-control">
                 <div className="preset-toggle" role="group" aria-label="Background font preset">
@@ -866,6 +2132,15 @@ export default function App() {
                   >
                     Custom
                   </button>
+                  {uploadedFont ? (
+                    <button
+                      type="button"
+                      className={backgroundFontPreset === "uploaded" ? "active" : ""}
+                      onClick={() => setBackgroundFontPreset("uploaded")}
+                    >
+                      {uploadedFont.label}
+                    </button>
+                  ) : null}
                 </div>
                 <label className="font-family-field" htmlFor="custom-font-family-background">
                   <span>Custom family stack</span>
@@ -882,9 +2157,69 @@ export default function App() {
                     placeholder='"IBM Plex Mono", monospace'
                     maxLength={120}
                   />
+                  {backgroundFontPreset === "custom" && backgroundCustomFontFamily ? (
+                    <small
+                      className={`font-check ${customFontStatus.background}`}
+                      role="status"
+                    >
+                      {FONT_STATUS_LABELS[customFontStatus.background]}
+                    </small>
+                  ) : null}
+                </label>
+                <label className="font-family-field">
+                  <span>Font file (drop here or browse)</span>
+                  <input
+                    type="file"
+                    accept=".woff,.woff2,.ttf,.otf"
+                    onChange={(event) => {
+                      loadFontFile(event.target.files?.[0], "background");
+                      event.target.value = "";
+                    }}
+                  />
                 </label>
               </div>
             </details>
+            {fontFileStatus ? <p className="font-status">{fontFileStatus}</p> : null}
+          </div>
+        </details>
+
+        <details className="control-section" open>
+          <summary>Glyph Sets</summary>
+          <div className="section-body">
+            {GLYPH_SET_SIDES.map((side) => {
+              const activePreset = getGlyphSetPreset(glyphSets[side], side);
+              return (
+                <div key={side} className="glyph-set-control">
+                  <label className="font-family-field" htmlFor={`glyph-set-${side}`}>
+                    <span>{side === "foreground" ? "Foreground filler" : "Background mesh"}</span>
+                    <input
+                      id={`glyph-set-${side}`}
+                      className="glyph-set-input"
+                      type="text"
+                      value={glyphSets[side]}
+                      onChange={(event) => updateGlyphSet(side, event.target.value)}
+                      placeholder={GLYPH_SET_PRESETS.ascii[side]}
+                    />
+                  </label>
+                  <div
+                    className="preset-toggle"
+                    role="group"
+                    aria-label={`${side === "foreground" ? "Foreground" : "Background"} glyph preset`}
+                  >
+                    {GLYPH_SET_PRESET_IDS.map((presetId) => (
+                      <button
+                        key={presetId}
+                        type="button"
+                        className={activePreset === presetId ? "active" : ""}
+                        onClick={() => updateGlyphSet(side, GLYPH_SET_PRESETS[presetId][side])}
+                      >
+                        {GLYPH_SET_PRESETS[presetId].label}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              );
+            })}
           </div>
         </details>
 
@@ -973,6 +2308,88 @@ export default function App() {
               />
               <b>{currentModeStrength.toFixed(2)}</b>
             </label>
+            <p>Particle Simulation</p>
+            <div className="preset-toggle" role="group" aria-label="Particle simulation">
+              {SIMULATION_BACKENDS.map((backend) => (
+                <button
+                  key={backend}
+                  type="button"
+                  className={simulation.backend === backend ? "active" : ""}
+                  onClick={() => setSimulation((current) => ({ ...current, backend }))}
+                >
+                  {backend}
+                </button>
+              ))}
+            </div>
+            <label className="paper-intensity">
+              <span>Particle Density (GPU)</span>
+              <input
+                type="range"
+                min="1"
+                max="10"
+                step="0.5"
+                value={simulation.density}
+                disabled={simulation.backend !== "gpu"}
+                onChange={(event) =>
+                  setSimulation((current) =>
+                    normalizeSimulationSettings({ ...current, density: event.target.value }, current),
+                  )
+                }
+              />
+              <b>{simulation.density.toFixed(1)}x</b>
+            </label>
+            <p>Rendering</p>
+            <div className="preset-toggle" role="group" aria-label="Rendering thread">
+              <button
+                type="button"
+                className={offscreenActive ? "" : "active"}
+                onClick={() => setOffscreen(false)}
+              >
+                main thread
+              </button>
+              <button
+                type="button"
+                className={offscreenActive ? "active" : ""}
+                disabled={offscreenBlocker !== null}
+                onClick={() => setOffscreen(true)}
+              >
+                offscreen
+              </button>
+            </div>
+            {offscreenBlocker ? (
+              <p className="render-status">
+                Offscreen rendering is unavailable with {offscreenBlocker}
+              </p>
+            ) : null}
+            <p>Timeline ({timeline.solidEnd.toFixed(1)}s)</p>
+            <div className="preset-toggle" role="group" aria-label="Timeline preset">
+              {TIMELINE_PRESET_IDS.map((presetId) => (
+                <button
+                  key={presetId}
+                  type="button"
+                  className={activeTimelinePreset === presetId ? "active" : ""}
+                  onClick={() => setTimelineDurations({ ...TIMELINE_PRESETS[presetId] })}
+                >
+                  {presetId}
+                </button>
+              ))}
+            </div>
+            <div className="slider-grid">
+              {TIMELINE_PHASE_KEYS.map((phase) => (
+                <label key={phase}>
+                  <span>{phase}</span>
+                  <input
+                    type="range"
+                    min="0.20"
+                    max="20.00"
+                    step="0.1"
+                    value={timelineDurations[phase]}
+                    onChange={(event) => updateTimelineDuration(phase, event.target.value)}
+                  />
+                  <b>{timelineDurations[phase].toFixed(1)}s</b>
+                </label>
+              ))}
+            </div>
           </div>
         </details>
 
@@ -1145,14 +2562,209 @@ export default function App() {
             </label>
           </div>
         </details>
+
+        <details className="control-section" open>
+          <summary>Export</summary>
+          <div className="section-body export-control">
+            <p>Output Size</p>
+            <div className="preset-toggle" role="group" aria-label="Snapshot size">
+              {SNAPSHOT_SIZE_IDS.map((sizeId) => (
+                <button
+                  key={sizeId}
+                  type="button"
+                  className={snapshotSize === sizeId ? "active" : ""}
+                  onClick={() => setSnapshotSize(sizeId)}
+                >
+                  {SNAPSHOT_SIZE_PRESETS[sizeId].label}
+                </button>
+              ))}
+              <button
+                type="button"
+                className={snapshotSize === "custom" ? "active" : ""}
+                onClick={() => setSnapshotSize("custom")}
+              >
+                custom
+              </button>
+            </div>
+            {snapshotSize === "custom" ? (
+              <div className="row">
+                <input
+                  type="number"
+                  min="16"
+                  max="8192"
+                  step="1"
+                  value={snapshotWidth}
+                  onChange={(event) => setSnapshotWidth(event.target.value)}
+                  aria-label="Snapshot width"
+                />
+                <input
+                  type="number"
+                  min="16"
+                  max="8192"
+                  step="1"
+                  value={snapshotHeight}
+                  onChange={(event) => setSnapshotHeight(event.target.value)}
+                  aria-label="Snapshot height"
+                />
+              </div>
+            ) : null}
+            <button
+              type="button"
+              onClick={takeSnapshot}
+              disabled={isRecording || isExportingFrames}
+            >
+              Snapshot PNG
+            </button>
+            <p>Frame Sequence</p>
+            <div className="preset-toggle" role="group" aria-label="Frame sequence rate">
+              {RECORD_FPS_OPTIONS.map((fps) => (
+                <button
+                  key={fps}
+                  type="button"
+                  className={sequenceFps === fps ? "active" : ""}
+                  onClick={() => setSequenceFps(fps)}
+                >
+                  {fps} fps
+                </button>
+              ))}
+            </div>
+            <label className="paper-intensity">
+              <span>Tail</span>
+              <input
+                type="range"
+                min="0"
+                max="30"
+                step="0.5"
+                value={sequenceTail}
+                onChange={(event) => setSequenceTail(Number(event.target.value))}
+              />
+              <b>{sequenceTail.toFixed(1)}s</b>
+            </label>
+            <button
+              type="button"
+              className={isExportingFrames ? "recording" : ""}
+              onClick={toggleFrameExport}
+              disabled={isRecording}
+            >
+              {isExportingFrames ? "Cancel Export" : "Export PNG Zip"}
+            </button>
+            <p>Record</p>
+            <div className="preset-toggle" role="group" aria-label="Recording format">
+              <button
+                type="button"
+                className={recordFormat === "webm" ? "active" : ""}
+                onClick={() => setRecordFormat("webm")}
+              >
+                WebM
+              </button>
+              <button
+                type="button"
+                className={recordFormat === "mp4" ? "active" : ""}
+                onClick={() => setRecordFormat("mp4")}
+                disabled={!CAN_RECORD_MP4}
+              >
+                MP4
+              </button>
+            </div>
+            <div className="preset-toggle" role="group" aria-label="Recording frame rate">
+              {RECORD_FPS_OPTIONS.map((fps) => (
+                <button
+                  key={fps}
+                  type="button"
+                  className={recordFps === fps ? "active" : ""}
+                  onClick={() => setRecordFps(fps)}
+                >
+                  {fps} fps
+                </button>
+              ))}
+            </div>
+            <label className="paper-intensity">
+              <span>Bitrate</span>
+              <input
+                type="range"
+                min="2"
+                max="40"
+                step="1"
+                value={recordBitrate}
+                onChange={(event) => setRecordBitrate(Number(event.target.value))}
+              />
+              <b>{recordBitrate} Mbps</b>
+            </label>
+            <div className="preset-toggle" role="group" aria-label="Recording stop condition">
+              {RECORD_STOP_MODE_IDS.map((stopMode) => (
+                <button
+                  key={stopMode}
+                  type="button"
+                  className={recordStopMode === stopMode ? "active" : ""}
+                  onClick={() => setRecordStopMode(stopMode)}
+                >
+                  {stopMode === "solid"
+                    ? "at solid"
+                    : stopMode === "seconds"
+                      ? "after N s"
+                      : "manual"}
+                </button>
+              ))}
+            </div>
+            {recordStopMode === "seconds" ? (
+              <label className="paper-intensity">
+                <span>Length</span>
+                <input
+                  type="range"
+                  min="1"
+                  max="60"
+                  step="1"
+                  value={recordSeconds}
+                  onChange={(event) => setRecordSeconds(Number(event.target.value))}
+                />
+                <b>{recordSeconds}s</b>
+              </label>
+            ) : null}
+            <div className="color-toggle" role="group" aria-label="Recording start point">
+              <button
+                type="button"
+                className={recordFromStart ? "active" : ""}
+                onClick={() => setRecordFromStart(true)}
+              >
+                From Start
+              </button>
+              <button
+                type="button"
+                className={!recordFromStart ? "active" : ""}
+                onClick={() => setRecordFromStart(false)}
+              >
+                From Now
+              </button>
+            </div>
+            <button
+              type="button"
+              className={isRecording ? "recording" : ""}
+              onClick={toggleRecording}
+              disabled={isExportingFrames}
+            >
+              {isRecording ? "Stop Recording" : "Record Video"}
+            </button>
+            {exportStatus ? <p className="export-status">{exportStatus}</p> : null}
+          </div>
+        </details>
           </>
         ) : null}
       </form>
 
       <Suspense fallback={<div className="hero-fallback" aria-hidden="true" />}>
         <TypographyMeshHero
+          key={offscreenActive ? "offscreen" : "main"}
           word={word}
+          playlist={playlist}
+          textLayout={textLayout}
+          targetImage={targetImage}
+          seed={seed}
           fontSet={fontSet}
+          fontAxes={fontAxes}
+          glyphSets={glyphSets}
+          simulation={simulation}
+          offscreen={offscreenActive}
+          renderBackend={initialState.renderBackend}
           fontLabel={fontLabel}
           interactionMode={interactionMode}
           onInteractionModeChange={setInteractionMode}
@@ -1160,9 +2772,11 @@ export default function App() {
           onColorModeChange={setColorMode}
           motionSettings={motionSettings}
           motionPreset={motionPreset}
+          timeline={timeline}
           modeStrengths={modeStrengths}
           paperFx={paperFx}
           backgroundMeshFx={backgroundMeshFx}
+          ref={heroRef}
         />
       </Suspense>
     </main>
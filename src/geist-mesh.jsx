@@ -0,0 +1,230 @@
+import { StrictMode } from "react";
+import { createRoot } from "react-dom/client";
+import TypographyMeshHero from "./components/TypographyMeshHero.jsx";
+import heroStyles from "./components/TypographyMeshHero.css?inline";
+import { isInteractionMode } from "./lib/interactionModes.js";
+
+const COLOR_MODE_IDS = ["white", "colorful"];
+const MOTION_PRESETS = {
+  calm: { flow: 0.78, drag: 0.74, camera: 0.72, settle: 0.9 },
+  energetic: { flow: 1.28, drag: 1.22, camera: 1.18, settle: 1.24 },
+  cinematic: { flow: 1, drag: 1, camera: 1, settle: 1.06 },
+};
+const MOTION_KEYS = ["flow", "drag", "camera", "settle"];
+const PAPER_FX_ATTRIBUTES = {
+  intensity: "paper-intensity",
+  palette: "paper-palette",
+  effect: "paper-effect",
+  amount: "paper-amount",
+  speed: "paper-speed",
+  dotShape: "paper-dot-shape",
+  dotDensity: "paper-dot-density",
+  grainShape: "paper-grain-shape",
+};
+const BACKGROUND_MESH_ATTRIBUTES = {
+  style: "background-mesh",
+  amount: "background-mesh-amount",
+  dotShape: "background-mesh-dot-shape",
+  dotDensity: "background-mesh-dot-density",
+  grainShape: "background-mesh-grain-shape",
+};
+const OBSERVED_ATTRIBUTES = [
+  "word",
+  "seed",
+  "interaction-mode",
+  "color-mode",
+  "motion-preset",
+  "shared-renderer",
+  "offscreen",
+  "renderer",
+  "simulation",
+  "particle-density",
+  ...MOTION_KEYS.map((key) => `motion-${key}`),
+  "paper-fx",
+  ...Object.values(PAPER_FX_ATTRIBUTES),
+  ...Object.values(BACKGROUND_MESH_ATTRIBUTES),
+];
+// The hero sizes itself from the box it is mounted in, so the host decides the
+// size and defaults to a viewport-tall block when the page gives it no height.
+const HOST_STYLES = `
+:host {
+  display: block;
+  position: relative;
+  height: 100vh;
+  overflow: hidden;
+  background: #000;
+}
+
+:host([hidden]) {
+  display: none;
+}
+
+* {
+  box-sizing: border-box;
+}
+
+.mesh-root {
+  position: absolute;
+  inset: 0;
+}
+`;
+
+function readNumberAttribute(element, name) {
+  const value = element.getAttribute(name);
+  if (value === null || value.trim() === "") return undefined;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : undefined;
+}
+
+function readAttributeGroup(element, attributes) {
+  const group = {};
+  for (const [key, name] of Object.entries(attributes)) {
+    const value = element.getAttribute(name);
+    if (value !== null) group[key] = value;
+  }
+  return group;
+}
+
+class GeistMeshElement extends HTMLElement {
+  static get observedAttributes() {
+    return OBSERVED_ATTRIBUTES;
+  }
+
+  constructor() {
+    super();
+    this.root = null;
+    this.mount = null;
+    this.renderFrame = 0;
+    this.handleInteractionModeChange = (mode) =>
+      this.requestChange("interactionmodechange", "interaction-mode", mode);
+    this.handleColorModeChange = (mode) =>
+      this.requestChange("colormodechange", "color-mode", mode);
+    this.handlePhaseChange = (phase) => this.notify("phasechange", { phase });
+    this.handleRetargetComplete = (word) => this.notify("retargetcomplete", { word });
+    this.handleReady = () => this.notify("ready", {});
+    this.handleQualityChange = (scale) => this.notify("qualitychange", { scale });
+  }
+
+  connectedCallback() {
+    if (!this.shadowRoot) {
+      const shadow = this.attachShadow({ mode: "open" });
+      const style = document.createElement("style");
+      style.textContent = `${HOST_STYLES}\n${heroStyles}`;
+      this.mount = document.createElement("div");
+      this.mount.className = "mesh-root";
+      shadow.append(style, this.mount);
+    }
+    if (!this.root) {
+      this.root = createRoot(this.mount);
+    }
+    this.scheduleRender();
+  }
+
+  disconnectedCallback() {
+    window.cancelAnimationFrame(this.renderFrame);
+    this.renderFrame = 0;
+    // Unmount on a microtask so moving the element within the page
+    // does not tear down and rebuild the renderer.
+    queueMicrotask(() => {
+      if (this.isConnected || !this.root) return;
+      this.root.unmount();
+      this.root = null;
+    });
+  }
+
+  attributeChangedCallback() {
+    this.scheduleRender();
+  }
+
+  // Mode changes from the built-in buttons and hotkeys are reported first; the
+  // attribute is only updated when no listener called preventDefault().
+  requestChange(type, attribute, mode) {
+    const event = new CustomEvent(type, {
+      detail: { mode },
+      bubbles: true,
+      composed: true,
+      cancelable: true,
+    });
+    if (this.dispatchEvent(event)) {
+      this.setAttribute(attribute, mode);
+    }
+  }
+
+  notify(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true }));
+  }
+
+  scheduleRender() {
+    if (!this.root || this.renderFrame !== 0) return;
+    this.renderFrame = window.requestAnimationFrame(() => {
+      this.renderFrame = 0;
+      this.render();
+    });
+  }
+
+  getProps() {
+    const interactionMode = this.getAttribute("interaction-mode");
+    const colorMode = this.getAttribute("color-mode");
+    const motionPreset = this.getAttribute("motion-preset");
+    const presetId = Object.hasOwn(MOTION_PRESETS, motionPreset) ? motionPreset : "cinematic";
+    const motionSettings = { ...MOTION_PRESETS[presetId] };
+    for (const key of MOTION_KEYS) {
+      const value = readNumberAttribute(this, `motion-${key}`);
+      if (value !== undefined) motionSettings[key] = value;
+    }
+    const seed = readNumberAttribute(this, "seed");
+    const sharedRenderer = this.hasAttribute("shared-renderer");
+    const offscreen = this.hasAttribute("offscreen");
+    const renderBackend = this.getAttribute("renderer") === "webgpu" ? "webgpu" : "webgl";
+    const particleDensity = readNumberAttribute(this, "particle-density");
+
+    return {
+      word: this.getAttribute("word") || "GEIST",
+      seed: seed ?? 1,
+      sharedRenderer,
+      offscreen,
+      renderBackend,
+      interactionMode: isInteractionMode(interactionMode) ? interactionMode : "fluid",
+      onInteractionModeChange: this.handleInteractionModeChange,
+      colorMode: COLOR_MODE_IDS.includes(colorMode) ? colorMode : "white",
+      onColorModeChange: this.handleColorModeChange,
+      onPhaseChange: this.handlePhaseChange,
+      onRetargetComplete: this.handleRetargetComplete,
+      onReady: this.handleReady,
+      onQualityChange: this.handleQualityChange,
+      motionPreset: presetId,
+      motionSettings,
+      simulation: {
+        backend: this.getAttribute("simulation") ?? "cpu",
+        density: particleDensity ?? 1,
+      },
+      paperFx: {
+        ...readAttributeGroup(this, PAPER_FX_ATTRIBUTES),
+        enabled: this.getAttribute("paper-fx") !== "off",
+      },
+      backgroundMeshFx: readAttributeGroup(this, BACKGROUND_MESH_ATTRIBUTES),
+    };
+  }
+
+  render() {
+    if (!this.root) return;
+    const props = this.getProps();
+    // The renderer and its thread are chosen at mount, so switching either
+    // remounts the hero.
+    const key = props.sharedRenderer
+      ? "shared"
+      : `${props.offscreen ? "offscreen" : "own"}-${props.renderBackend}`;
+    this.root.render(
+      <StrictMode>
+        <TypographyMeshHero key={key} {...props} />
+      </StrictMode>,
+    );
+  }
+}
+
+if (!customElements.get("geist-mesh")) {
+  customElements.define("geist-mesh", GeistMeshElement);
+}
+
+export { registerInteractionMode } from "./lib/interactionModes.js";
+export default GeistMeshElement;
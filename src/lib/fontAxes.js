@@ -0,0 +1,130 @@
+const SFNT_SIGNATURES = new Set([0x00010000, 0x4f54544f, 0x74727565]); // 1.0, "OTTO", "true"
+const WOFF_SIGNATURE = 0x774f4646; // "wOFF"
+const FVAR_TAG = 0x66766172; // "fvar"
+const HIDDEN_AXIS_FLAG = 0x0001;
+const FONT_STRETCH_KEYWORDS = [
+  [50, "ultra-condensed"],
+  [62.5, "extra-condensed"],
+  [75, "condensed"],
+  [87.5, "semi-condensed"],
+  [100, "normal"],
+  [112.5, "semi-expanded"],
+  [125, "expanded"],
+  [150, "extra-expanded"],
+  [200, "ultra-expanded"],
+];
+
+// Axes a 2D context can draw through the font shorthand alone: wght as the
+// weight, wdth as the nearest font-stretch keyword and slnt as an oblique
+// angle. Other axes need the context's fontVariationSettings.
+export const CANVAS_FONT_AXES = ["wght", "wdth", "slnt"];
+
+export function supportsCanvasFontVariations() {
+  const Context =
+    globalThis.CanvasRenderingContext2D ?? globalThis.OffscreenCanvasRenderingContext2D;
+  return Boolean(Context) && "fontVariationSettings" in Context.prototype;
+}
+
+export function isRenderableFontAxis(tag) {
+  return CANVAS_FONT_AXES.includes(tag) || supportsCanvasFontVariations();
+}
+
+function getNearestStretch(width) {
+  let best = FONT_STRETCH_KEYWORDS[4];
+  for (const entry of FONT_STRETCH_KEYWORDS) {
+    if (Math.abs(entry[0] - width) < Math.abs(best[0] - width)) best = entry;
+  }
+  return best;
+}
+
+export function getFontStretchKeyword(width) {
+  return getNearestStretch(width)[1];
+}
+
+// The wdth value a canvas will actually render for the requested one. With
+// fontVariationSettings the width is drawn as given.
+export function snapFontWidth(width) {
+  return supportsCanvasFontVariations() ? width : getNearestStretch(width)[0];
+}
+
+function readTag(view, offset) {
+  return String.fromCharCode(
+    view.getUint8(offset),
+    view.getUint8(offset + 1),
+    view.getUint8(offset + 2),
+    view.getUint8(offset + 3),
+  );
+}
+
+function readFixed(view, offset) {
+  return view.getInt32(offset) / 65536;
+}
+
+function findSfntTable(view, tag) {
+  const numTables = view.getUint16(4);
+  for (let i = 0; i < numTables; i += 1) {
+    const record = 12 + i * 16;
+    if (view.getUint32(record) === tag) {
+      return new DataView(view.buffer, view.getUint32(record + 8), view.getUint32(record + 12));
+    }
+  }
+  return null;
+}
+
+async function inflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate"));
+  return new Response(stream).arrayBuffer();
+}
+
+async function findWoffTable(view, tag) {
+  const numTables = view.getUint16(12);
+  for (let i = 0; i < numTables; i += 1) {
+    const record = 44 + i * 20;
+    if (view.getUint32(record) !== tag) continue;
+    const offset = view.getUint32(record + 4);
+    const compLength = view.getUint32(record + 8);
+    const origLength = view.getUint32(record + 12);
+    const bytes = new Uint8Array(view.buffer, offset, compLength);
+    if (compLength >= origLength) {
+      return new DataView(view.buffer, offset, origLength);
+    }
+    if (typeof DecompressionStream !== "function") return null;
+    return new DataView(await inflate(bytes));
+  }
+  return null;
+}
+
+// Reads the visible variation axes from a font's fvar table. TTF, OTF and WOFF
+// are supported; WOFF2 needs a Brotli decoder, so it reports no axes and
+// callers fall back to the standard ranges.
+export async function readVariationAxes(buffer) {
+  try {
+    const view = new DataView(buffer);
+    const signature = view.getUint32(0);
+    let fvar = null;
+    if (SFNT_SIGNATURES.has(signature)) {
+      fvar = findSfntTable(view, FVAR_TAG);
+    } else if (signature === WOFF_SIGNATURE) {
+      fvar = await findWoffTable(view, FVAR_TAG);
+    }
+    if (!fvar) return [];
+
+    const axesOffset = fvar.getUint16(4);
+    const axisCount = fvar.getUint16(8);
+    const axisSize = fvar.getUint16(10);
+    const axes = [];
+    for (let i = 0; i < axisCount; i += 1) {
+      const record = axesOffset + i * axisSize;
+      if (fvar.getUint16(record + 16) & HIDDEN_AXIS_FLAG) continue;
+      axes.push({
+        tag: readTag(fvar, record),
+        min: readFixed(fvar, record + 4),
+        default: readFixed(fvar, record + 8),
+        max: readFixed(fvar, record + 12),
+      });
+    }
+    return axes;
+  } catch {
+    return [];
+  }
+}
@@ -0,0 +1,142 @@
+const GENERIC_FAMILIES = new Set([
+  "serif",
+  "sans-serif",
+  "monospace",
+  "cursive",
+  "fantasy",
+  "system-ui",
+  "ui-serif",
+  "ui-sans-serif",
+  "ui-monospace",
+  "ui-rounded",
+  "emoji",
+  "math",
+  "fangsong",
+]);
+// Per-glyph fallbacks for CJK, Arabic and Hebrew text that the Latin faces
+// lack. Shared by the hero's default stacks and the app's font presets.
+export const INTL_SANS_FALLBACK =
+  '"Hiragino Sans", "Noto Sans CJK JP", "PingFang SC", "Microsoft YaHei", "Apple SD Gothic Neo", "Malgun Gothic", "Noto Sans Arabic", "Noto Sans Hebrew"';
+const PROBE_TEXT = "mmmmmmmmmmlli10O@#WQ";
+const PROBE_BASES = ["monospace", "serif", "sans-serif"];
+
+let probeContext = null;
+
+function splitFontStack(stack) {
+  const families = [];
+  let current = "";
+  let quote = "";
+  for (const char of stack) {
+    if (quote) {
+      if (char === quote) quote = "";
+      else current += char;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === ",") {
+      families.push(current.trim());
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  families.push(current.trim());
+  return families.filter((family) => family.length > 0);
+}
+
+export function getPrimaryFontFamily(stack) {
+  return splitFontStack(stack)[0] ?? "";
+}
+
+// The stack minus its first family, i.e. what the canvas falls back to when
+// the primary family is unavailable.
+export function getFallbackFontStack(stack) {
+  return splitFontStack(stack)
+    .slice(1)
+    .map((family) => (GENERIC_FAMILIES.has(family.toLowerCase()) ? family : `"${family}"`))
+    .join(", ");
+}
+
+function getRegisteredFaces(family) {
+  const target = family.toLowerCase();
+  const faces = [];
+  document.fonts.forEach((face) => {
+    if (face.family.replace(/^["']|["']$/g, "").toLowerCase() === target) {
+      faces.push(face);
+    }
+  });
+  return faces;
+}
+
+// document.fonts.check() reports true for families it has never heard of, so
+// locally installed fonts are detected by comparing metrics against generics.
+function isInstalledLocally(family) {
+  if (!probeContext) {
+    probeContext = document.createElement("canvas").getContext("2d");
+  }
+  return PROBE_BASES.some((base) => {
+    probeContext.font = `72px ${base}`;
+    const baseWidth = probeContext.measureText(PROBE_TEXT).width;
+    probeContext.font = `72px "${family}", ${base}`;
+    return probeContext.measureText(PROBE_TEXT).width !== baseWidth;
+  });
+}
+
+// Returns "loaded", "loading" or "fallback" for the first family of a stack.
+export function checkFontFamily(family) {
+  if (!family || GENERIC_FAMILIES.has(family.toLowerCase())) return "loaded";
+  if (typeof document === "undefined" || !document.fonts) return "loaded";
+
+  const faces = getRegisteredFaces(family);
+  if (faces.length > 0) {
+    if (faces.some((face) => face.status === "loaded")) return "loaded";
+    if (faces.some((face) => face.status !== "error")) return "loading";
+    return "fallback";
+  }
+  if (document.fonts.check(`16px "${family}"`) && isInstalledLocally(family)) {
+    return "loaded";
+  }
+  return "fallback";
+}
+
+export async function loadFontFamily(family) {
+  try {
+    await document.fonts.load(`16px "${family}"`);
+  } catch {
+    // Fall through to the status check, which reports the failure.
+  }
+  return checkFontFamily(family);
+}
+
+// Reports the family's status now and again whenever the document's font set
+// finishes loading something, so late webfonts are picked up. Returns an
+// unsubscribe function.
+export function watchFontFamily(family, onStatus) {
+  if (typeof document === "undefined" || !document.fonts) {
+    onStatus("loaded");
+    return () => {};
+  }
+
+  let active = true;
+  let lastStatus = "";
+  const report = (status) => {
+    if (!active || status === lastStatus) return;
+    lastStatus = status;
+    onStatus(status);
+  };
+  const refresh = () => {
+    const status = checkFontFamily(family);
+    report(status);
+    if (status === "loading") {
+      loadFontFamily(family).then(report);
+    }
+  };
+
+  refresh();
+  document.fonts.addEventListener("loadingdone", refresh);
+  document.fonts.addEventListener("loadingerror", refresh);
+  return () => {
+    active = false;
+    document.fonts.removeEventListener("loadingdone", refresh);
+    document.fonts.removeEventListener("loadingerror", refresh);
+  };
+}
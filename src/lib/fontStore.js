@@ -0,0 +1,57 @@
+const DB_NAME = "typography-mesh";
+const DB_VERSION = 1;
+const STORE_NAME = "fonts";
+const UPLOADED_FONT_KEY = "uploaded";
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available."));
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function runRequest(mode, operation) {
+  const database = await openDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = database.transaction(STORE_NAME, mode);
+      const request = operation(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } finally {
+    database.close();
+  }
+}
+
+// One uploaded font is kept at a time; it is shared by the foreground and
+// background "uploaded" presets.
+export async function readStoredFont() {
+  const record = await runRequest("readonly", (store) => store.get(UPLOADED_FONT_KEY));
+  if (!record || !(record.buffer instanceof ArrayBuffer)) return null;
+  return record;
+}
+
+export function writeStoredFont(name, buffer) {
+  return runRequest("readwrite", (store) =>
+    store.put({ name, buffer, savedAt: Date.now() }, UPLOADED_FONT_KEY),
+  );
+}
+
+// Same registration path as the bundled Geist Pixel faces, but from bytes. The
+// buffer is copied so the caller can still persist the original.
+export async function registerFontFile(family, buffer) {
+  const font = new FontFace(family, buffer.slice(0));
+  await font.load();
+  document.fonts.add(font);
+  return font;
+}
@@ -0,0 +1,152 @@
+// The foreground particle step, shared by the hero's main-thread loop and the
+// physics worker so both backends move particles identically.
+
+function clamp01(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+function smoothstep(edge0, edge1, x) {
+  const t = clamp01((x - edge0) / (edge1 - edge0));
+  return t * t * (3 - 2 * t);
+}
+
+export function createForegroundData(count) {
+  return {
+    count,
+    homeX: new Float32Array(count),
+    homeY: new Float32Array(count),
+    posX: new Float32Array(count),
+    posY: new Float32Array(count),
+    velX: new Float32Array(count),
+    velY: new Float32Array(count),
+    seed: new Float32Array(count),
+    targetX: new Float32Array(count),
+    targetY: new Float32Array(count),
+    baseGlyph: new Float32Array(count),
+    targetGlyph: new Float32Array(count),
+    targetSlot: new Uint32Array(count),
+  };
+}
+
+// Per-frame inputs that are the same for every particle. The hero fills one
+// of these each frame; the worker receives it in its "step" message.
+export function createForegroundFrame() {
+  return {
+    t: 0,
+    physicsStep: 1,
+    step: 18,
+    flow: 0,
+    converge: 0,
+    lockPhase: 0,
+    retargetBlend: 1,
+    retargetExcite: 0,
+    floatingMix: 1,
+    ambientDriftX: 0,
+    ambientDriftY: 0,
+    pointerX: 0,
+    pointerY: 0,
+    pointerVelX: 0,
+    pointerVelY: 0,
+    pointerStrength: 0,
+    pointerWarpRadius: 1,
+    pointerWarpStrength: 0,
+    pointerFlowStrength: 0,
+  };
+}
+
+// Reused for every particle so the per-frame mode forces don't allocate.
+const forceSample = { x: 0, y: 0, dx: 0, dy: 0, dist: 1, t: 0, seed: 0, organic: 0 };
+const forceField = { flowA: 0, flowB: 0, pressureScale: 0, dragScale: 0, flowScale: 0 };
+
+// Advances every particle one frame and writes positions into offsets (xy
+// pairs) and the glyph each particle currently shows into glyphs.
+export function stepForegroundParticles(data, frame, mode, motion, offsets, glyphs) {
+  const { t, step, flow, converge, lockPhase, retargetBlend, retargetExcite } = frame;
+  const { floatingMix, pointerStrength } = frame;
+  const physicsStep = frame.physicsStep;
+  const damping = Math.pow(
+    Math.max(0.78, Math.min(0.9, 0.845 - (motion.drag - 1) * 0.04)),
+    physicsStep,
+  );
+
+  for (let i = 0; i < data.count; i += 1) {
+    const seed = data.seed[i];
+    const delay = (Math.sin(seed * 4.13) * 0.5 + 0.5) * 0.34;
+    const delayedConverge = smoothstep(delay, 1, converge + lockPhase * 0.08);
+    const combinedConverge = clamp01(delayedConverge * (0.58 + 0.42 * retargetBlend));
+
+    const preJitter =
+      (1 - combinedConverge) * (0.24 + 0.16 * flow + retargetExcite * 0.34);
+    const nx = Math.sin(t * 0.92 + seed) * step * 0.14 * preJitter;
+    const ny = Math.cos(t * 0.86 + seed * 1.11) * step * 0.14 * preJitter;
+
+    const baseX = data.homeX[i] + nx;
+    const baseY = data.homeY[i] + ny;
+    let targetX = baseX + (data.targetX[i] - baseX) * combinedConverge;
+    let targetY = baseY + (data.targetY[i] - baseY) * combinedConverge;
+
+    const lockFloat =
+      (0.32 + 0.68 * lockPhase) * floatingMix * (0.84 + retargetExcite * 0.45);
+    const floatAmp =
+      step * (0.03 + 0.045 * (Math.sin(seed * 2.1) * 0.5 + 0.5)) * motion.flow;
+
+    const ambientA =
+      Math.sin((baseY + seed * 120) * 0.012 + t * 0.52) +
+      Math.cos((baseX - baseY) * 0.007 - t * 0.44);
+    const ambientB =
+      Math.cos((baseX - seed * 105) * 0.011 - t * 0.49) +
+      Math.sin((baseX + baseY) * 0.006 + t * 0.39);
+    const ambientLen = Math.hypot(ambientA, ambientB) + 0.0001;
+    targetX += (ambientA / ambientLen) * floatAmp * lockFloat;
+    targetY += (ambientB / ambientLen) * floatAmp * lockFloat;
+    targetX += frame.ambientDriftX * step * 0.24 * lockFloat;
+    targetY += frame.ambientDriftY * step * 0.24 * lockFloat;
+
+    if (pointerStrength > 0.001) {
+      const dx = targetX - frame.pointerX;
+      const dy = targetY - frame.pointerY;
+      const dist = Math.hypot(dx, dy) + 0.0001;
+      const radial = clamp01(1 - dist / frame.pointerWarpRadius);
+      const falloff = radial * radial * (3 - 2 * radial);
+      const influence = falloff * pointerStrength;
+      const organicPulse = Math.sin(t * 0.6 + seed * 8.7) * 0.5 + 0.5;
+
+      forceSample.x = targetX;
+      forceSample.y = targetY;
+      forceSample.dx = dx;
+      forceSample.dy = dy;
+      forceSample.dist = dist;
+      forceSample.t = t;
+      forceSample.seed = seed;
+      forceSample.organic = organicPulse;
+      mode.force(forceSample, forceField);
+      const { flowA, flowB, pressureScale } = forceField;
+      const dragScale = forceField.dragScale * motion.drag;
+      const flowScale = forceField.flowScale * motion.flow;
+
+      const flowLen = Math.hypot(flowA, flowB) + 0.0001;
+      const pressure =
+        (0.52 - radial) * frame.pointerWarpStrength * influence * pressureScale;
+      const drag = dragScale * influence;
+      const push = frame.pointerFlowStrength * influence * flowScale;
+
+      targetX += (flowA / flowLen) * push;
+      targetY += (flowB / flowLen) * push;
+      targetX += frame.pointerVelX * drag + (dx / dist) * pressure;
+      targetY += frame.pointerVelY * drag + (dy / dist) * pressure;
+    }
+
+    const stiffness = (0.048 + 0.018 * combinedConverge) * physicsStep * motion.settle;
+    data.velX[i] = (data.velX[i] + (targetX - data.posX[i]) * stiffness) * damping;
+    data.velY[i] = (data.velY[i] + (targetY - data.posY[i]) * stiffness) * damping;
+    data.posX[i] += data.velX[i] * physicsStep;
+    data.posY[i] += data.velY[i] * physicsStep;
+
+    const glyphProgress = smoothstep(0.18, 0.92, Math.min(combinedConverge, retargetBlend));
+    const switchGate = 0.5 + (Math.sin(seed * 23.1) * 0.5 + 0.5) * 0.2;
+    glyphs[i] = glyphProgress > switchGate ? data.targetGlyph[i] : data.baseGlyph[i];
+
+    offsets[i * 2] = data.posX[i];
+    offsets[i * 2 + 1] = data.posY[i];
+  }
+}
@@ -0,0 +1,55 @@
+import { createForegroundData, stepForegroundParticles } from "./foregroundPhysics.js";
+import { getInteractionMode } from "./interactionModes.js";
+
+// Runs the foreground particle step off the main thread. Messages in:
+//   resize   { generation, particles }  new grid: count, home/pos/vel/seed/baseGlyph arrays
+//   retarget { generation, targetX, targetY, targetGlyph }
+//   mode     { id }                      interaction mode from the registry
+//   motion   { motion }                  { flow, drag, settle }
+//   step     { generation, frame, offsets, glyphs }
+// Every step answers with a frame message that hands the offsets and glyphs
+// buffers back filled. Only the built-in modes exist in this realm, so the
+// scene steps page-registered modes on the main thread instead of sending them.
+
+let particles = createForegroundData(0);
+let generation = 0;
+let mode = getInteractionMode("fluid");
+let motion = { flow: 1, drag: 1, settle: 1 };
+
+function resize(message) {
+  const source = message.particles;
+  particles = createForegroundData(source.count);
+  for (const key of ["homeX", "homeY", "posX", "posY", "velX", "velY", "seed", "baseGlyph"]) {
+    particles[key].set(source[key]);
+  }
+  particles.targetX.set(source.homeX);
+  particles.targetY.set(source.homeY);
+  particles.targetGlyph.set(source.baseGlyph);
+  generation = message.generation;
+}
+
+function retarget(message) {
+  if (message.generation !== generation) return;
+  particles.targetX.set(message.targetX);
+  particles.targetY.set(message.targetY);
+  particles.targetGlyph.set(message.targetGlyph);
+}
+
+function step(message) {
+  const { offsets, glyphs } = message;
+  if (message.generation === generation) {
+    stepForegroundParticles(particles, message.frame, mode, motion, offsets, glyphs);
+  }
+  self.postMessage(
+    { type: "frame", generation: message.generation, offsets, glyphs },
+    [offsets.buffer, glyphs.buffer],
+  );
+}
+
+self.onmessage = ({ data: message }) => {
+  if (message.type === "resize") resize(message);
+  else if (message.type === "retarget") retarget(message);
+  else if (message.type === "mode") mode = getInteractionMode(message.id);
+  else if (message.type === "motion") motion = message.motion;
+  else if (message.type === "step") step(message);
+};
@@ -0,0 +1,96 @@
+// Main-thread side of foregroundPhysics.worker.js. One step is in flight at a
+// time: its output buffers are transferred to the worker and come back filled,
+// and onFrame copies them into the hero's attributes.
+export function createForegroundWorker({ onFrame, onError }) {
+  const worker = new Worker(new URL("./foregroundPhysics.worker.js", import.meta.url), {
+    type: "module",
+  });
+  let generation = 0;
+  let buffers = null;
+  let pending = false;
+  let modeId = "";
+  let motion = null;
+  let idleWaiters = [];
+
+  function settle() {
+    pending = false;
+    const waiters = idleWaiters;
+    idleWaiters = [];
+    for (const resolve of waiters) resolve();
+  }
+
+  worker.onmessage = ({ data: message }) => {
+    if (message.type !== "frame") return;
+    // Frames stepped for an older grid are dropped with their buffers.
+    if (message.generation === generation) {
+      buffers = { offsets: message.offsets, glyphs: message.glyphs };
+      onFrame(message.offsets, message.glyphs);
+    }
+    settle();
+  };
+  worker.onerror = (event) => {
+    event.preventDefault();
+    onError(event);
+  };
+
+  return {
+    resize(data) {
+      generation += 1;
+      buffers = {
+        offsets: new Float32Array(data.count * 2),
+        glyphs: new Float32Array(data.count),
+      };
+      const particles = { count: data.count };
+      for (const key of ["homeX", "homeY", "posX", "posY", "velX", "velY", "seed", "baseGlyph"]) {
+        particles[key] = data[key].slice();
+      }
+      worker.postMessage(
+        { type: "resize", generation, particles },
+        Object.values(particles)
+          .filter((value) => typeof value === "object")
+          .map((array) => array.buffer),
+      );
+    },
+    retarget(data) {
+      const targetX = data.targetX.slice();
+      const targetY = data.targetY.slice();
+      const targetGlyph = data.targetGlyph.slice();
+      worker.postMessage({ type: "retarget", generation, targetX, targetY, targetGlyph }, [
+        targetX.buffer,
+        targetY.buffer,
+        targetGlyph.buffer,
+      ]);
+    },
+    setMode(id) {
+      if (id === modeId) return;
+      modeId = id;
+      worker.postMessage({ type: "mode", id });
+    },
+    setMotion(nextMotion) {
+      if (nextMotion === motion) return;
+      motion = nextMotion;
+      worker.postMessage({ type: "motion", motion: nextMotion });
+    },
+    // Returns false while the previous step is still running, so the caller
+    // can carry the skipped time into the next step.
+    step(frame) {
+      if (pending || !buffers) return false;
+      pending = true;
+      const { offsets, glyphs } = buffers;
+      buffers = null;
+      worker.postMessage({ type: "step", generation, frame, offsets, glyphs }, [
+        offsets.buffer,
+        glyphs.buffer,
+      ]);
+      return true;
+    },
+    whenIdle() {
+      if (!pending) return Promise.resolve();
+      return new Promise((resolve) => idleWaiters.push(resolve));
+    },
+    dispose() {
+      worker.terminate();
+      settle();
+    },
+  };
+}
@@ -0,0 +1,280 @@
+import * as THREE from "three";
+
+// Shared by the simulation pass and the foreground vertex shader so both agree
+// on when each particle converges and swaps to its target glyph. converge is
+// the timeline's converge value plus the lock-phase nudge.
+export const PARTICLE_CONVERGE_GLSL = `
+  float particleConverge(float seed, float converge, float retargetBlend) {
+    float delay = (sin(seed * 4.13) * 0.5 + 0.5) * 0.34;
+    return clamp(smoothstep(delay, 1.0, converge) * (0.58 + 0.42 * retargetBlend), 0.0, 1.0);
+  }
+
+  float particleGlyph(
+    float seed,
+    float baseGlyph,
+    float targetGlyph,
+    float converge,
+    float retargetBlend
+  ) {
+    float progress = smoothstep(
+      0.18,
+      0.92,
+      min(particleConverge(seed, converge, retargetBlend), retargetBlend)
+    );
+    float gate = 0.5 + (sin(seed * 23.1) * 0.5 + 0.5) * 0.2;
+    return progress > gate ? targetGlyph : baseGlyph;
+  }
+`;
+
+const SIMULATION_VERTEX_SHADER = `
+  varying vec2 vUv;
+
+  void main() {
+    vUv = uv;
+    gl_Position = vec4(position.xy, 0.0, 1.0);
+  }
+`;
+
+// The GPU port of the foreground loop in TypographyMeshHero: one texel per
+// particle, position in xy and velocity in zw.
+function buildSimulationFragmentShader(forceGlsl) {
+  return `
+    uniform sampler2D uState;
+    uniform sampler2D uHome;
+    uniform sampler2D uTarget;
+    uniform float uTime;
+    uniform float uStep;
+    uniform float uFlow;
+    uniform float uConverge;
+    uniform float uLockPhase;
+    uniform float uRetargetBlend;
+    uniform float uRetargetExcite;
+    uniform float uFloatingMix;
+    uniform float uMotionFlow;
+    uniform float uMotionDrag;
+    uniform float uMotionSettle;
+    uniform float uPhysicsStep;
+    uniform float uDamping;
+    uniform vec2 uAmbientDrift;
+    uniform vec2 uPointer;
+    uniform vec2 uPointerVelocity;
+    uniform float uPointerStrength;
+    uniform float uPointerWarpRadius;
+    uniform float uPointerWarpStrength;
+    uniform float uPointerFlowStrength;
+    uniform float uMode;
+
+    varying vec2 vUv;
+
+    ${PARTICLE_CONVERGE_GLSL}
+
+    void main() {
+      vec4 state = texture2D(uState, vUv);
+      vec4 home = texture2D(uHome, vUv);
+      vec4 goal = texture2D(uTarget, vUv);
+      float seed = home.z;
+      float t = uTime;
+
+      float combinedConverge = particleConverge(seed, uConverge, uRetargetBlend);
+      float preJitter =
+        (1.0 - combinedConverge) * (0.24 + 0.16 * uFlow + uRetargetExcite * 0.34);
+      vec2 base = home.xy + vec2(
+        sin(t * 0.92 + seed),
+        cos(t * 0.86 + seed * 1.11)
+      ) * uStep * 0.14 * preJitter;
+      vec2 target = base + (goal.xy - base) * combinedConverge;
+
+      float lockFloat =
+        (0.32 + 0.68 * uLockPhase) * uFloatingMix * (0.84 + uRetargetExcite * 0.45);
+      float floatAmp = uStep * (0.03 + 0.045 * (sin(seed * 2.1) * 0.5 + 0.5)) * uMotionFlow;
+      vec2 ambient = vec2(
+        sin((base.y + seed * 120.0) * 0.012 + t * 0.52) + cos((base.x - base.y) * 0.007 - t * 0.44),
+        cos((base.x - seed * 105.0) * 0.011 - t * 0.49) + sin((base.x + base.y) * 0.006 + t * 0.39)
+      );
+      target += ambient / (length(ambient) + 0.0001) * floatAmp * lockFloat;
+      target += uAmbientDrift * uStep * 0.24 * lockFloat;
+
+      if (uPointerStrength > 0.001) {
+        vec2 delta = target - uPointer;
+        float dist = length(delta) + 0.0001;
+        vec2 dir = delta / dist;
+        float radial = clamp(1.0 - dist / uPointerWarpRadius, 0.0, 1.0);
+        float falloff = radial * radial * (3.0 - 2.0 * radial);
+        float influence = falloff * uPointerStrength;
+        float organic = sin(t * 0.6 + seed * 8.7) * 0.5 + 0.5;
+        vec2 flow;
+        float pressureScale;
+        float dragScale;
+        float flowScale;
+
+        ${forceGlsl}
+
+        vec2 flowDir = flow / (length(flow) + 0.0001);
+        float pressure = (0.52 - radial) * uPointerWarpStrength * influence * pressureScale;
+        float drag = dragScale * uMotionDrag * influence;
+        target += flowDir * uPointerFlowStrength * influence * flowScale * uMotionFlow;
+        target += uPointerVelocity * drag + dir * pressure;
+      }
+
+      float stiffness = (0.048 + 0.018 * combinedConverge) * uPhysicsStep * uMotionSettle;
+      vec2 velocity = (state.zw + (target - state.xy) * stiffness) * uDamping;
+      gl_FragColor = vec4(state.xy + velocity * uPhysicsStep, velocity);
+    }
+  `;
+}
+
+// Positions are in CSS pixels, so half floats would visibly quantize them;
+// without renderable 32-bit float targets the hero keeps its CPU loop.
+export function supportsGpuParticles(renderer) {
+  return (
+    renderer.capabilities.maxVertexTextures > 0 &&
+    renderer.extensions.has("EXT_color_buffer_float")
+  );
+}
+
+function createFloatTexture(width, height) {
+  const texture = new THREE.DataTexture(
+    new Float32Array(width * height * 4),
+    width,
+    height,
+    THREE.RGBAFormat,
+    THREE.FloatType,
+  );
+  texture.needsUpdate = true;
+  return texture;
+}
+
+function createStateTarget(width, height) {
+  return new THREE.WebGLRenderTarget(width, height, {
+    type: THREE.FloatType,
+    format: THREE.RGBAFormat,
+    minFilter: THREE.NearestFilter,
+    magFilter: THREE.NearestFilter,
+    depthBuffer: false,
+    generateMipmaps: false,
+  });
+}
+
+// Texel centre of each particle in the state textures, for the aParticle
+// attribute of the foreground mesh.
+export function getParticleUvs(simulation) {
+  const { count, width, height } = simulation;
+  const uvs = new Float32Array(count * 2);
+  for (let i = 0; i < count; i += 1) {
+    uvs[i * 2] = ((i % width) + 0.5) / width;
+    uvs[i * 2 + 1] = (Math.floor(i / width) + 0.5) / height;
+  }
+  return uvs;
+}
+
+// Steps the foreground particles with ping-pong float render targets. The
+// first step reads the initial state texture, every later one the target the
+// previous step wrote. Per-frame inputs go through simulation.uniforms.
+export function createParticleSimulation(renderer, particles, forceGlsl) {
+  const { count } = particles;
+  const width = Math.max(1, Math.ceil(Math.sqrt(count)));
+  const height = Math.max(1, Math.ceil(count / width));
+
+  const homeTexture = createFloatTexture(width, height);
+  const targetTexture = createFloatTexture(width, height);
+  const initialState = createFloatTexture(width, height);
+  const home = homeTexture.image.data;
+  const state = initialState.image.data;
+  for (let i = 0; i < count; i += 1) {
+    home[i * 4] = particles.homeX[i];
+    home[i * 4 + 1] = particles.homeY[i];
+    home[i * 4 + 2] = particles.seed[i];
+    home[i * 4 + 3] = particles.baseGlyph[i];
+    state[i * 4] = particles.posX[i];
+    state[i * 4 + 1] = particles.posY[i];
+    state[i * 4 + 2] = particles.velX[i];
+    state[i * 4 + 3] = particles.velY[i];
+  }
+
+  const stateTargets = [createStateTarget(width, height), createStateTarget(width, height)];
+  const material = new THREE.ShaderMaterial({
+    uniforms: {
+      uState: { value: initialState },
+      uHome: { value: homeTexture },
+      uTarget: { value: targetTexture },
+      uTime: { value: 0 },
+      uStep: { value: 18 },
+      uFlow: { value: 0 },
+      uConverge: { value: 0 },
+      uLockPhase: { value: 0 },
+      uRetargetBlend: { value: 1 },
+      uRetargetExcite: { value: 0 },
+      uFloatingMix: { value: 1 },
+      uMotionFlow: { value: 1 },
+      uMotionDrag: { value: 1 },
+      uMotionSettle: { value: 1 },
+      uPhysicsStep: { value: 1 },
+      uDamping: { value: 0.845 },
+      uAmbientDrift: { value: new THREE.Vector2() },
+      uPointer: { value: new THREE.Vector2() },
+      uPointerVelocity: { value: new THREE.Vector2() },
+      uPointerStrength: { value: 0 },
+      uPointerWarpRadius: { value: 1 },
+      uPointerWarpStrength: { value: 0 },
+      uPointerFlowStrength: { value: 0 },
+      uMode: { value: 0 },
+    },
+    vertexShader: SIMULATION_VERTEX_SHADER,
+    fragmentShader: buildSimulationFragmentShader(forceGlsl),
+    depthTest: false,
+    depthWrite: false,
+  });
+  const quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), material);
+  quad.frustumCulled = false;
+  const scene = new THREE.Scene();
+  scene.add(quad);
+  const camera = new THREE.Camera();
+
+  let stateTexture = initialState;
+  let writeIndex = 0;
+
+  return {
+    count,
+    width,
+    height,
+    uniforms: material.uniforms,
+    homeTexture,
+    targetTexture,
+    get stateTexture() {
+      return stateTexture;
+    },
+    setTargets(targetX, targetY, targetGlyph) {
+      const data = targetTexture.image.data;
+      for (let i = 0; i < count; i += 1) {
+        data[i * 4] = targetX[i];
+        data[i * 4 + 1] = targetY[i];
+        data[i * 4 + 2] = targetGlyph[i];
+      }
+      targetTexture.needsUpdate = true;
+    },
+    setForceGlsl(nextForceGlsl) {
+      material.fragmentShader = buildSimulationFragmentShader(nextForceGlsl);
+      material.needsUpdate = true;
+    },
+    step() {
+      const previousTarget = renderer.getRenderTarget();
+      const renderTarget = stateTargets[writeIndex];
+      material.uniforms.uState.value = stateTexture;
+      renderer.setRenderTarget(renderTarget);
+      renderer.render(scene, camera);
+      renderer.setRenderTarget(previousTarget);
+      stateTexture = renderTarget.texture;
+      writeIndex = 1 - writeIndex;
+    },
+    dispose() {
+      quad.geometry.dispose();
+      material.dispose();
+      for (const renderTarget of stateTargets) {
+        renderTarget.dispose();
+      }
+      homeTexture.dispose();
+      targetTexture.dispose();
+      initialState.dispose();
+    },
+  };
+}
@@ -0,0 +1,486 @@
+const MODE_ID_PATTERN = /^[a-z][a-z0-9-]*$/;
+const DEFAULT_MODE_CONFIG = {
+  pointerWarpRadiusFactor: 0.34,
+  pointerWarpBase: 0.66,
+  pointerWarpFloat: 0.32,
+  pointerFlowBase: 0.6,
+  pointerFlowFloat: 0.26,
+  backgroundPointerRadiusFactor: 0.42,
+  backgroundPointerWarpFactor: 0.36,
+  backgroundPointerStrengthBase: 0.18,
+  backgroundPointerStrengthFloat: 0.22,
+  backgroundSpeedBoost: 0.28,
+};
+
+// A mode shapes how the pointer pushes particles around.
+//
+// force(sample, out) runs per foreground particle near the pointer. sample has
+// the particle's target position (x, y), its offset from the pointer (dx, dy,
+// dist), the time t, a per-particle seed and an organic 0-1 pulse. It writes
+// a flow direction (flowA, flowB) plus pressureScale, dragScale and flowScale
+// into out; drag and flow are later scaled by the motion settings.
+//
+// glsl is the background layers' version of the same field. It can read p,
+// delta, dist, dir, organic, aSeed and uTime, and must assign flow,
+// pressureScale, dragScale and fieldScale.
+//
+// particleGlsl mirrors force for the GPU particle simulation. It can read
+// target, delta, dist, dir, t, seed and organic, and must assign flow,
+// pressureScale, dragScale and flowScale. It is required for the "gpu"
+// simulation backend; while a mode without one is active, the particles run
+// on the main-thread CPU loop instead.
+//
+// node is glsl for the WebGPU renderer. It is called with three's TSL
+// functions and the nodes p, delta, dist, dir, organic, seed and time, and
+// returns { flow, pressureScale, dragScale, fieldScale }. It is required for
+// WebGPU; a hero whose active mode has none renders with WebGL.
+//
+// The "worker" simulation backend only knows the built-in modes, so modes
+// registered on the page always step on the main thread. Scenes report each
+// of these fallbacks in getStats() and the HUD.
+const BUILT_IN_MODES = [
+  {
+    id: "fluid",
+    label: "Fluid Drift",
+    strengthParam: "msf",
+    config: DEFAULT_MODE_CONFIG,
+    force(sample, out) {
+      const { x, y, t, seed, organic } = sample;
+      out.flowA =
+        Math.sin(y * 0.016 + t * 0.58 + seed * 6.7) +
+        Math.cos((x + y) * 0.01 - t * 0.43 + seed * 2.9) * 0.5;
+      out.flowB =
+        Math.cos(x * 0.015 - t * 0.52 + seed * 5.3) +
+        Math.sin((x - y) * 0.009 + t * 0.39 + seed * 3.7) * 0.5;
+      out.pressureScale = 0.16;
+      out.dragScale = 0.1 + 0.08 * organic;
+      out.flowScale = 0.44 + 0.28 * organic;
+    },
+    glsl: `
+      flow = vec2(
+        sin((p.y + aSeed * 120.0) * 0.018 + uTime * 0.82),
+        cos((p.x - aSeed * 140.0) * 0.017 - uTime * 0.76)
+      );
+      pressureScale = 0.14;
+      dragScale = 0.055 + 0.04 * organic;
+      fieldScale = 0.05 + 0.03 * organic;
+    `,
+    node({ vec2, sin, cos }, { p, organic, seed, time }) {
+      return {
+        flow: vec2(
+          sin(p.y.add(seed.mul(120)).mul(0.018).add(time.mul(0.82))),
+          cos(p.x.sub(seed.mul(140)).mul(0.017).sub(time.mul(0.76))),
+        ),
+        pressureScale: 0.14,
+        dragScale: organic.mul(0.04).add(0.055),
+        fieldScale: organic.mul(0.03).add(0.05),
+      };
+    },
+    particleGlsl: `
+      flow = vec2(
+        sin(target.y * 0.016 + t * 0.58 + seed * 6.7) +
+          cos((target.x + target.y) * 0.01 - t * 0.43 + seed * 2.9) * 0.5,
+        cos(target.x * 0.015 - t * 0.52 + seed * 5.3) +
+          sin((target.x - target.y) * 0.009 + t * 0.39 + seed * 3.7) * 0.5
+      );
+      pressureScale = 0.16;
+      dragScale = 0.1 + 0.08 * organic;
+      flowScale = 0.44 + 0.28 * organic;
+    `,
+  },
+  {
+    id: "nebula",
+    label: "Nebula Curl",
+    strengthParam: "msn",
+    config: {
+      pointerWarpRadiusFactor: 0.46,
+      pointerWarpBase: 0.58,
+      pointerWarpFloat: 0.3,
+      pointerFlowBase: 0.74,
+      pointerFlowFloat: 0.32,
+      backgroundPointerRadiusFactor: 0.56,
+      backgroundPointerWarpFactor: 0.34,
+      backgroundPointerStrengthBase: 0.23,
+      backgroundPointerStrengthFloat: 0.26,
+      backgroundSpeedBoost: 0.4,
+    },
+    force(sample, out) {
+      const { x, y, dx, dy, dist, t, seed, organic } = sample;
+      const cloudA =
+        Math.sin((y - x) * 0.012 + t * 0.61 + seed * 7.1) +
+        Math.cos((x + y) * 0.008 - t * 0.52 + seed * 4.9) * 0.65;
+      const cloudB =
+        Math.cos((y + x) * 0.011 - t * 0.57 + seed * 6.2) +
+        Math.sin((x - y) * 0.009 + t * 0.49 + seed * 5.3) * 0.65;
+      out.flowA = (-dy / dist) * (0.6 + 0.35 * organic) + cloudA * 0.7;
+      out.flowB = (dx / dist) * (0.6 + 0.35 * organic) + cloudB * 0.7;
+      out.pressureScale = 0.1;
+      out.dragScale = 0.14 + 0.09 * organic;
+      out.flowScale = 0.58 + 0.34 * organic;
+    },
+    glsl: `
+      vec2 orbit = normalize(vec2(-delta.y, delta.x) + vec2(0.0002, -0.0001));
+      vec2 cloud = vec2(
+        sin((p.y - p.x) * 0.012 + uTime * 0.61 + aSeed * 11.0),
+        cos((p.y + p.x) * 0.01 - uTime * 0.58 + aSeed * 8.0)
+      );
+      flow = orbit * (0.45 + 0.35 * organic) + cloud * 0.65;
+      pressureScale = 0.09;
+      dragScale = 0.048 + 0.03 * organic;
+      fieldScale = 0.07 + 0.05 * organic;
+    `,
+    node({ vec2, sin, cos, normalize }, { p, delta, organic, seed, time }) {
+      const orbit = normalize(vec2(delta.y.negate(), delta.x).add(vec2(0.0002, -0.0001)));
+      const cloud = vec2(
+        sin(p.y.sub(p.x).mul(0.012).add(time.mul(0.61)).add(seed.mul(11))),
+        cos(p.y.add(p.x).mul(0.01).sub(time.mul(0.58)).add(seed.mul(8))),
+      );
+      return {
+        flow: orbit.mul(organic.mul(0.35).add(0.45)).add(cloud.mul(0.65)),
+        pressureScale: 0.09,
+        dragScale: organic.mul(0.03).add(0.048),
+        fieldScale: organic.mul(0.05).add(0.07),
+      };
+    },
+    particleGlsl: `
+      vec2 cloud = vec2(
+        sin((target.y - target.x) * 0.012 + t * 0.61 + seed * 7.1) +
+          cos((target.x + target.y) * 0.008 - t * 0.52 + seed * 4.9) * 0.65,
+        cos((target.y + target.x) * 0.011 - t * 0.57 + seed * 6.2) +
+          sin((target.x - target.y) * 0.009 + t * 0.49 + seed * 5.3) * 0.65
+      );
+      flow = vec2(-dir.y, dir.x) * (0.6 + 0.35 * organic) + cloud * 0.7;
+      pressureScale = 0.1;
+      dragScale = 0.14 + 0.09 * organic;
+      flowScale = 0.58 + 0.34 * organic;
+    `,
+  },
+  {
+    id: "tide",
+    label: "Tidal Shear",
+    strengthParam: "mst",
+    config: {
+      pointerWarpRadiusFactor: 0.4,
+      pointerWarpBase: 0.92,
+      pointerWarpFloat: 0.38,
+      pointerFlowBase: 0.36,
+      pointerFlowFloat: 0.2,
+      backgroundPointerRadiusFactor: 0.5,
+      backgroundPointerWarpFactor: 0.39,
+      backgroundPointerStrengthBase: 0.24,
+      backgroundPointerStrengthFloat: 0.24,
+      backgroundSpeedBoost: 0.3,
+    },
+    force(sample, out) {
+      const { x, y, t, seed, organic } = sample;
+      out.flowA =
+        Math.sin(y * 0.011 + t * 0.92 + seed * 3.8) + Math.cos((x + y) * 0.006 + t * 0.34);
+      out.flowB =
+        Math.sin(x * 0.01 - t * 0.77 + seed * 3.1) + Math.cos((x - y) * 0.005 - t * 0.28);
+      out.pressureScale = 0.2;
+      out.dragScale = 0.08 + 0.05 * organic;
+      out.flowScale = 0.32 + 0.2 * organic;
+    },
+    glsl: `
+      flow = vec2(
+        sin(p.y * 0.01 + uTime * 0.83 + aSeed * 4.2) + cos((p.x + p.y) * 0.007 + uTime * 0.26),
+        sin(p.x * 0.009 - uTime * 0.79 + aSeed * 3.1) + cos((p.x - p.y) * 0.006 - uTime * 0.22)
+      );
+      pressureScale = 0.19;
+      dragScale = 0.05 + 0.02 * organic;
+      fieldScale = 0.04 + 0.02 * organic;
+    `,
+    node({ vec2, sin, cos }, { p, organic, seed, time }) {
+      return {
+        flow: vec2(
+          sin(p.y.mul(0.01).add(time.mul(0.83)).add(seed.mul(4.2))).add(
+            cos(p.x.add(p.y).mul(0.007).add(time.mul(0.26))),
+          ),
+          sin(p.x.mul(0.009).sub(time.mul(0.79)).add(seed.mul(3.1))).add(
+            cos(p.x.sub(p.y).mul(0.006).sub(time.mul(0.22))),
+          ),
+        ),
+        pressureScale: 0.19,
+        dragScale: organic.mul(0.02).add(0.05),
+        fieldScale: organic.mul(0.02).add(0.04),
+      };
+    },
+    particleGlsl: `
+      flow = vec2(
+        sin(target.y * 0.011 + t * 0.92 + seed * 3.8) + cos((target.x + target.y) * 0.006 + t * 0.34),
+        sin(target.x * 0.01 - t * 0.77 + seed * 3.1) + cos((target.x - target.y) * 0.005 - t * 0.28)
+      );
+      pressureScale = 0.2;
+      dragScale = 0.08 + 0.05 * organic;
+      flowScale = 0.32 + 0.2 * organic;
+    `,
+  },
+  {
+    id: "vortex",
+    label: "Vortex Lens",
+    strengthParam: "msv",
+    config: {
+      pointerWarpRadiusFactor: 0.54,
+      pointerWarpBase: 1.06,
+      pointerWarpFloat: 0.42,
+      pointerFlowBase: 0.84,
+      pointerFlowFloat: 0.34,
+      backgroundPointerRadiusFactor: 0.62,
+      backgroundPointerWarpFactor: 0.44,
+      backgroundPointerStrengthBase: 0.25,
+      backgroundPointerStrengthFloat: 0.3,
+      backgroundSpeedBoost: 0.44,
+    },
+    force(sample, out) {
+      const { x, y, dx, dy, dist, t, seed, organic } = sample;
+      const spiral = Math.sin(dist * 0.03 - t * 1.2 + seed * 7.4);
+      const curlA = Math.cos((x + y) * 0.012 + t * 0.72 + seed * 4.1) * 0.62;
+      const curlB = Math.sin((y - x) * 0.013 - t * 0.67 + seed * 3.6) * 0.62;
+      out.flowA = (-dy / dist) * (0.9 + 0.3 * organic) + (dx / dist) * spiral * 0.35 + curlA;
+      out.flowB = (dx / dist) * (0.9 + 0.3 * organic) + (dy / dist) * spiral * 0.35 + curlB;
+      out.pressureScale = 0.26;
+      out.dragScale = 0.09 + 0.05 * organic;
+      out.flowScale = 0.74 + 0.34 * organic;
+    },
+    glsl: `
+      vec2 orbit = normalize(vec2(-delta.y, delta.x) + vec2(0.0003, 0.0002));
+      float spiral = sin(dist * 0.028 - uTime * 1.18 + aSeed * 6.0);
+      vec2 curl = vec2(
+        cos((p.x + p.y) * 0.01 + uTime * 0.67),
+        sin((p.y - p.x) * 0.011 - uTime * 0.61)
+      );
+      flow = orbit * (0.75 + 0.3 * organic) + curl * 0.5 + dir * spiral * 0.35;
+      pressureScale = 0.24;
+      dragScale = 0.038 + 0.022 * organic;
+      fieldScale = 0.1 + 0.05 * organic;
+    `,
+    node({ vec2, sin, cos, normalize }, { p, delta, dist, dir, organic, seed, time }) {
+      const orbit = normalize(vec2(delta.y.negate(), delta.x).add(vec2(0.0003, 0.0002)));
+      const spiral = sin(dist.mul(0.028).sub(time.mul(1.18)).add(seed.mul(6)));
+      const curl = vec2(
+        cos(p.x.add(p.y).mul(0.01).add(time.mul(0.67))),
+        sin(p.y.sub(p.x).mul(0.011).sub(time.mul(0.61))),
+      );
+      return {
+        flow: orbit
+          .mul(organic.mul(0.3).add(0.75))
+          .add(curl.mul(0.5))
+          .add(dir.mul(spiral).mul(0.35)),
+        pressureScale: 0.24,
+        dragScale: organic.mul(0.022).add(0.038),
+        fieldScale: organic.mul(0.05).add(0.1),
+      };
+    },
+    particleGlsl: `
+      float spiral = sin(dist * 0.03 - t * 1.2 + seed * 7.4);
+      vec2 curl = vec2(
+        cos((target.x + target.y) * 0.012 + t * 0.72 + seed * 4.1),
+        sin((target.y - target.x) * 0.013 - t * 0.67 + seed * 3.6)
+      ) * 0.62;
+      flow = vec2(-dir.y, dir.x) * (0.9 + 0.3 * organic) + dir * spiral * 0.35 + curl;
+      pressureScale = 0.26;
+      dragScale = 0.09 + 0.05 * organic;
+      flowScale = 0.74 + 0.34 * organic;
+    `,
+  },
+  {
+    id: "ripple",
+    label: "Ripple Pulse",
+    strengthParam: "msr",
+    config: {
+      pointerWarpRadiusFactor: 0.6,
+      pointerWarpBase: 0.7,
+      pointerWarpFloat: 0.26,
+      pointerFlowBase: 0.78,
+      pointerFlowFloat: 0.28,
+      backgroundPointerRadiusFactor: 0.66,
+      backgroundPointerWarpFactor: 0.31,
+      backgroundPointerStrengthBase: 0.21,
+      backgroundPointerStrengthFloat: 0.22,
+      backgroundSpeedBoost: 0.36,
+    },
+    force(sample, out) {
+      const { dx, dy, dist, t, seed, organic } = sample;
+      const wave = Math.sin(dist * 0.044 - t * 1.52 + seed * 5.2);
+      const cross = 0.34 + 0.2 * organic;
+      out.flowA = (dx / dist) * wave + (-dy / dist) * cross;
+      out.flowB = (dy / dist) * wave + (dx / dist) * cross;
+      out.pressureScale = 0.12;
+      out.dragScale = 0.11 + 0.05 * organic;
+      out.flowScale = 0.62 + 0.24 * organic;
+    },
+    glsl: `
+      float wave = sin(dist * 0.04 - uTime * 1.55 + aSeed * 7.3);
+      vec2 radial = dir * wave;
+      vec2 cross = vec2(-dir.y, dir.x) * (0.3 + 0.25 * organic);
+      flow = radial + cross;
+      pressureScale = 0.12;
+      dragScale = 0.07 + 0.03 * organic;
+      fieldScale = 0.085 + 0.03 * organic;
+    `,
+    node({ vec2, sin }, { dist, dir, organic, seed, time }) {
+      const wave = sin(dist.mul(0.04).sub(time.mul(1.55)).add(seed.mul(7.3)));
+      const cross = vec2(dir.y.negate(), dir.x).mul(organic.mul(0.25).add(0.3));
+      return {
+        flow: dir.mul(wave).add(cross),
+        pressureScale: 0.12,
+        dragScale: organic.mul(0.03).add(0.07),
+        fieldScale: organic.mul(0.03).add(0.085),
+      };
+    },
+    particleGlsl: `
+      float wave = sin(dist * 0.044 - t * 1.52 + seed * 5.2);
+      flow = dir * wave + vec2(-dir.y, dir.x) * (0.34 + 0.2 * organic);
+      pressureScale = 0.12;
+      dragScale = 0.11 + 0.05 * organic;
+      flowScale = 0.62 + 0.24 * organic;
+    `,
+  },
+  {
+    id: "magnet",
+    label: "Magnetic Lattice",
+    strengthParam: "msm",
+    config: {
+      pointerWarpRadiusFactor: 0.38,
+      pointerWarpBase: 1.08,
+      pointerWarpFloat: 0.36,
+      pointerFlowBase: 0.26,
+      pointerFlowFloat: 0.16,
+      backgroundPointerRadiusFactor: 0.43,
+      backgroundPointerWarpFactor: 0.46,
+      backgroundPointerStrengthBase: 0.24,
+      backgroundPointerStrengthFloat: 0.26,
+      backgroundSpeedBoost: 0.35,
+    },
+    force(sample, out) {
+      const { x, y, dx, dy, dist, t, seed, organic } = sample;
+      const latticeA = Math.sin(y * 0.021 + t * 0.86 + seed * 6.6) * 0.52;
+      const latticeB = Math.cos(x * 0.022 - t * 0.82 + seed * 5.7) * 0.52;
+      out.flowA = (-dx / dist) * (0.92 + 0.26 * organic) + latticeA;
+      out.flowB = (-dy / dist) * (0.92 + 0.26 * organic) + latticeB;
+      out.pressureScale = -0.16;
+      out.dragScale = 0.14 + 0.05 * organic;
+      out.flowScale = 0.28 + 0.14 * organic;
+    },
+    glsl: `
+      vec2 pull = -dir;
+      vec2 jitter = vec2(
+        sin((p.y + aSeed * 130.0) * 0.02 + uTime * 0.92),
+        cos((p.x - aSeed * 95.0) * 0.019 - uTime * 0.86)
+      );
+      flow = pull * (0.85 + 0.25 * organic) + jitter * 0.45;
+      pressureScale = -0.11;
+      dragScale = 0.09 + 0.035 * organic;
+      fieldScale = 0.07 + 0.025 * organic;
+    `,
+    node({ vec2, sin, cos }, { p, dir, organic, seed, time }) {
+      const jitter = vec2(
+        sin(p.y.add(seed.mul(130)).mul(0.02).add(time.mul(0.92))),
+        cos(p.x.sub(seed.mul(95)).mul(0.019).sub(time.mul(0.86))),
+      );
+      return {
+        flow: dir.negate().mul(organic.mul(0.25).add(0.85)).add(jitter.mul(0.45)),
+        pressureScale: -0.11,
+        dragScale: organic.mul(0.035).add(0.09),
+        fieldScale: organic.mul(0.025).add(0.07),
+      };
+    },
+    particleGlsl: `
+      vec2 lattice = vec2(
+        sin(target.y * 0.021 + t * 0.86 + seed * 6.6),
+        cos(target.x * 0.022 - t * 0.82 + seed * 5.7)
+      ) * 0.52;
+      flow = -dir * (0.92 + 0.26 * organic) + lattice;
+      pressureScale = -0.16;
+      dragScale = 0.14 + 0.05 * organic;
+      flowScale = 0.28 + 0.14 * organic;
+    `,
+  },
+];
+
+let modes = [];
+const listeners = new Set();
+
+function normalizeMode(mode) {
+  if (!mode || typeof mode !== "object" || !MODE_ID_PATTERN.test(mode.id ?? "")) {
+    throw new Error("Interaction modes need a lowercase id such as \"swarm\".");
+  }
+  if (typeof mode.force !== "function" || typeof mode.glsl !== "string") {
+    throw new Error(`Interaction mode "${mode.id}" needs a force function and a GLSL snippet.`);
+  }
+  const config = { ...DEFAULT_MODE_CONFIG };
+  for (const key of Object.keys(DEFAULT_MODE_CONFIG)) {
+    const value = Number(mode.config?.[key]);
+    if (Number.isFinite(value)) config[key] = value;
+  }
+  return {
+    id: mode.id,
+    label: typeof mode.label === "string" && mode.label ? mode.label : mode.id,
+    strengthParam: typeof mode.strengthParam === "string" ? mode.strengthParam : `ms-${mode.id}`,
+    config,
+    force: mode.force,
+    glsl: mode.glsl,
+    particleGlsl: typeof mode.particleGlsl === "string" ? mode.particleGlsl : null,
+    node: typeof mode.node === "function" ? mode.node : null,
+  };
+}
+
+// Adds a mode, or replaces the one with the same id. Hotkeys follow
+// registration order, so the first nine modes get 1-9.
+export function registerInteractionMode(mode) {
+  const normalized = normalizeMode(mode);
+  const index = modes.findIndex((entry) => entry.id === normalized.id);
+  modes =
+    index === -1
+      ? [...modes, normalized]
+      : modes.map((entry, entryIndex) => (entryIndex === index ? normalized : entry));
+  for (const listener of listeners) listener();
+  return normalized;
+}
+
+export function getInteractionModes() {
+  return modes;
+}
+
+export function getInteractionModeIndex(id) {
+  const index = modes.findIndex((mode) => mode.id === id);
+  return index === -1 ? 0 : index;
+}
+
+export function getInteractionMode(id) {
+  return modes[getInteractionModeIndex(id)];
+}
+
+export function isInteractionMode(id) {
+  return modes.some((mode) => mode.id === id);
+}
+
+export function subscribeInteractionModes(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// Shaders pick a mode by its index in uMode. key selects the background
+// snippet ("glsl") or the particle simulation's ("particleGlsl"); modes
+// without a particle snippet keep an empty branch, since they never reach
+// the GPU simulation while active.
+export function buildInteractionModeGlsl(modeList, key = "glsl") {
+  return modeList
+    .map((mode, index) => {
+      const body = `{\n${mode[key] ?? ""}\n}`;
+      if (index === modeList.length - 1) {
+        return index === 0 ? body : `else ${body}`;
+      }
+      const test = `if (uMode < ${index}.5) ${body}`;
+      return index === 0 ? test : `else ${test}`;
+    })
+    .join("\n");
+}
+
+// Workers import this module fresh, so they only ever see these entries.
+const builtInEntries = new Set(BUILT_IN_MODES.map((mode) => registerInteractionMode(mode)));
+
+// False for modes added or replaced on the page after load.
+export function isBuiltInInteractionMode(id) {
+  return builtInEntries.has(modes.find((mode) => mode.id === id));
+}
@@ -0,0 +1,3767 @@
+import * as THREE from "three";
+import {
+  createForegroundData,
+  createForegroundFrame,
+  stepForegroundParticles,
+} from "./foregroundPhysics.js";
+import { getFontStretchKeyword } from "./fontAxes.js";
+import { INTL_SANS_FALLBACK } from "./fontReadiness.js";
+import { createForegroundWorker } from "./foregroundWorker.js";
+import {
+  PARTICLE_CONVERGE_GLSL,
+  createParticleSimulation,
+  getParticleUvs,
+  supportsGpuParticles,
+} from "./gpuParticles.js";
+import pixelLineFontUrl from "../assets/fonts/GeistPixel-Line.woff2?url";
+import pixelSquareFontUrl from "../assets/fonts/GeistPixel-Square.woff2?url";
+import {
+  acquireSharedRenderer,
+  beginSharedRender,
+  cancelSharedFrame,
+  ensureSharedRendererSize,
+  presentSharedRender,
+  releaseSharedRenderer,
+  requestSharedFrame,
+} from "./sharedRenderer.js";
+import {
+  buildInteractionModeGlsl,
+  getInteractionMode,
+  getInteractionModeIndex,
+  getInteractionModes,
+  isBuiltInInteractionMode,
+  subscribeInteractionModes,
+} from "./interactionModes.js";
+import { slugifyWord } from "./slug.js";
+import { createZipWriter } from "./zip.js";
+
+const FOREGROUND_GLYPHS = "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789".split("");
+const BACKGROUND_GLYPHS = "##++**==%%@@&&//\\\\||??!!~~^^::".split("");
+export const COLOR_MODE_IDS = ["white", "colorful"];
+export const DEFAULT_TIMELINE = {
+  meshEnd: 2.6,
+  convergeEnd: 7.2,
+  holdEnd: 9.1,
+  solidEnd: 12,
+};
+export const TIMELINE_PHASES = [
+  { id: "meshEnd", label: "Mesh" },
+  { id: "convergeEnd", label: "Converge" },
+  { id: "holdEnd", label: "Hold" },
+  { id: "solidEnd", label: "Solid" },
+];
+export const TIMELINE_LOOP_MODES = [
+  { id: "once", label: "Once" },
+  { id: "loop", label: "Loop" },
+  { id: "pingpong", label: "Ping-Pong" },
+];
+const TIMELINE_SOLID_FADE = 0.4;
+const TIMELINE_LOOP_HOLD = 1.6;
+const TEXT_ALIGNMENTS = ["left", "center", "right"];
+export const DEFAULT_TEXT_LAYOUT = { maxWidth: 0.9, lineHeight: 0.92, align: "center" };
+const TEXT_MASK_THRESHOLD = 28;
+const FONT_AXIS_TAG_PATTERN = /^[A-Za-z0-9 ]{4}$/;
+const PLAYLIST_ORDERS = ["sequential", "shuffle"];
+const PLAYLIST_END_MODES = ["loop", "stop"];
+const PLAYLIST_DEFAULT_HOLD = 2.4;
+const SNAPSHOT_MAX_EDGE = 8192;
+const GLYPH_ATLAS_CELL = 120;
+const GLYPH_ATLAS_CJK_CELL = 160;
+const GLYPH_ATLAS_MAX_SIZE = 4096;
+const FOREGROUND_GLYPH_LIMIT = 1024;
+const GLYPH_SET_MAX_LENGTH = 256;
+const glyphAtlasCache = new Map();
+const canvasFontLoads = new Map();
+let postprocessingModules = null;
+let webgpuModule = null;
+const CJK_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+const CJK_BREAK_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u;
+const RTL_PATTERN =
+  /[\p{Script=Hebrew}\p{Script=Arabic}\p{Script=Syriac}\p{Script=Thaana}\p{Script=Nko}]/u;
+const graphemeSegmenter =
+  typeof Intl !== "undefined" && typeof Intl.Segmenter === "function"
+    ? new Intl.Segmenter(undefined, { granularity: "grapheme" })
+    : null;
+const wordSegmenter =
+  typeof Intl !== "undefined" && typeof Intl.Segmenter === "function"
+    ? new Intl.Segmenter(undefined, { granularity: "word" })
+    : null;
+const RECORDING_MIME_TYPES = {
+  webm: ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"],
+  mp4: ["video/mp4;codecs=avc1.42E01E", "video/mp4;codecs=avc1", "video/mp4"],
+};
+
+// Glyph atlases are laid out as a grid, row 0 at the top of the canvas.
+const GLYPH_ATLAS_GLSL = `
+  vec2 glyphAtlasUv(vec2 cellUv, float glyph, vec2 grid) {
+    float idx = floor(glyph + 0.5);
+    float row = floor((idx + 0.5) / grid.x);
+    float column = idx - row * grid.x;
+    return vec2((cellUv.x + column) / grid.x, 1.0 - (row + 1.0 - cellUv.y) / grid.y);
+  }
+`;
+
+const FILM_GRAIN_SHADER = {
+  uniforms: {
+    tDiffuse: { value: null },
+    uTime: { value: 0 },
+    uNoise: { value: 0.018 },
+    uVignette: { value: 0.34 },
+  },
+  vertexShader: `
+    varying vec2 vUv;
+    void main() {
+      vUv = uv;
+      gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+  `,
+  fragmentShader: `
+    uniform sampler2D tDiffuse;
+    uniform float uTime;
+    uniform float uNoise;
+    uniform float uVignette;
+
+    varying vec2 vUv;
+
+    float hash(vec2 p) {
+      return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453123);
+    }
+
+    void main() {
+      vec4 base = texture2D(tDiffuse, vUv);
+      float grain = (hash(vUv * vec2(1920.0, 1080.0) + uTime * 41.7) - 0.5) * uNoise;
+      vec3 color = base.rgb + grain;
+
+      vec2 center = vUv - 0.5;
+      float vignette = smoothstep(1.2, 0.24, length(center));
+      color *= mix(1.0, vignette, uVignette);
+
+      gl_FragColor = vec4(color, base.a);
+    }
+  `,
+};
+
+const PAPER_MESH_SHADER = {
+  uniforms: {
+    tDiffuse: { value: null },
+    uTime: { value: 0 },
+    uIntensity: { value: 0.34 },
+    uPalette: { value: 0 },
+    uEffect: { value: 0 },
+    uEffectAmount: { value: 0.58 },
+    uSpeed: { value: 1 },
+    uDotShape: { value: 0 },
+    uDotDensity: { value: 0.58 },
+    uGrainShape: { value: 0 },
+    uPointer: { value: new THREE.Vector2(0.5, 0.5) },
+    uEnergy: { value: 0 },
+  },
+  vertexShader: `
+    varying vec2 vUv;
+    void main() {
+      vUv = uv;
+      gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+  `,
+  fragmentShader: `
+    uniform sampler2D tDiffuse;
+    uniform float uTime;
+    uniform float uIntensity;
+    uniform float uPalette;
+    uniform float uEffect;
+    uniform float uEffectAmount;
+    uniform float uSpeed;
+    uniform float uDotShape;
+    uniform float uDotDensity;
+    uniform float uGrainShape;
+    uniform vec2 uPointer;
+    uniform float uEnergy;
+
+    varying vec2 vUv;
+
+    float hash(vec2 p) {
+      return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453123);
+    }
+
+    float noise(vec2 p) {
+      vec2 i = floor(p);
+      vec2 f = fract(p);
+      float a = hash(i);
+      float b = hash(i + vec2(1.0, 0.0));
+      float c = hash(i + vec2(0.0, 1.0));
+      float d = hash(i + vec2(1.0, 1.0));
+      vec2 u = f * f * (3.0 - 2.0 * f);
+      return mix(mix(a, b, u.x), mix(c, d, u.x), u.y);
+    }
+
+    float fbm(vec2 p) {
+      float v = 0.0;
+      float a = 0.5;
+      for (int i = 0; i < 4; i++) {
+        v += a * noise(p);
+        p = p * 2.02 + vec2(17.13, 9.41);
+        a *= 0.52;
+      }
+      return v;
+    }
+
+    vec3 pickPalette(float t, float palette) {
+      if (palette < 0.5) {
+        vec3 a = vec3(0.17, 0.67, 0.98);
+        vec3 b = vec3(0.99, 0.47, 0.89);
+        vec3 c = vec3(0.99, 0.88, 0.41);
+        return mix(mix(a, b, smoothstep(0.08, 0.66, t)), c, smoothstep(0.52, 0.95, t));
+      }
+      if (palette < 1.5) {
+        vec3 a = vec3(0.22, 0.87, 0.82);
+        vec3 b = vec3(0.30, 0.49, 0.98);
+        vec3 c = vec3(0.78, 0.61, 0.99);
+        return mix(mix(a, b, smoothstep(0.12, 0.7, t)), c, smoothstep(0.56, 0.96, t));
+      }
+      float v = mix(0.4, 0.98, t);
+      return vec3(v);
+    }
+
+    mat2 rot(float a) {
+      float c = cos(a);
+      float s = sin(a);
+      return mat2(c, -s, s, c);
+    }
+
+    float dotShapeMask(vec2 p, float shape) {
+      vec2 q = p;
+      if (shape < 0.5) {
+        float d = length(q);
+        return 1.0 - smoothstep(0.36, 0.41, d);
+      }
+      if (shape < 1.5) {
+        q = abs(q);
+        float d = q.x + q.y;
+        return 1.0 - smoothstep(0.43, 0.48, d);
+      }
+      if (shape < 2.5) {
+        q = abs(q);
+        float d = max(q.x, q.y);
+        return 1.0 - smoothstep(0.36, 0.41, d);
+      }
+      q.y += 0.12;
+      float d = max(abs(q.x) * 1.15 + q.y * 0.9, -q.y);
+      return 1.0 - smoothstep(0.34, 0.4, d);
+    }
+
+    vec2 grainWarp(vec2 uv, float shape, float t, float amt) {
+      vec2 p = uv;
+      if (shape < 0.5) {
+        vec2 c = abs(p);
+        p += sign(uv) * pow(c, vec2(1.9)) * (0.35 + amt * 0.55);
+      } else if (shape < 1.5) {
+        p += vec2(
+          sin(p.y * (3.5 + amt * 2.0) + t * 0.72),
+          cos(p.x * (3.2 + amt * 2.2) - t * 0.63)
+        ) * (0.24 + 0.34 * amt);
+      } else if (shape < 2.5) {
+        vec2 grid = floor((p + 1.0) * (3.0 + amt * 4.0));
+        float j = hash(grid + vec2(1.9, -2.4));
+        p = fract((p + 1.0) * (3.0 + amt * 4.0)) - 0.5;
+        if (j > 0.5) {
+          p.x *= -1.0;
+        }
+        p = p * rot(t * 0.15 + j * 3.1415);
+      } else if (shape < 3.5) {
+        vec2 d = p - vec2(0.0, 0.0);
+        float l = length(d) + 0.0001;
+        p += normalize(d) * (0.3 + 0.55 * amt) * exp(-l * 2.6) * sin(t * 0.7 + l * 9.0);
+      } else if (shape < 4.5) {
+        float r = length(p);
+        p += vec2(
+          sin(r * (10.0 + amt * 14.0) - t * 0.62),
+          cos(r * (8.4 + amt * 12.0) + t * 0.55)
+        ) * (0.12 + 0.3 * amt);
+      } else if (shape < 5.5) {
+        vec2 d = p;
+        float l = length(d) + 0.0001;
+        p += normalize(d) * (0.25 + 0.58 * amt) * exp(-l * 1.9);
+      } else {
+        float r = length(p);
+        p = normalize(p + vec2(0.0001, -0.0001)) * pow(r, 1.35 + amt * 0.9);
+      }
+      return p;
+    }
+
+    void main() {
+      vec4 base = texture2D(tDiffuse, vUv);
+      vec2 uv = vUv * 2.0 - 1.0;
+      vec2 pointer = uPointer * 2.0 - 1.0;
+      vec2 toPointer = uv - pointer;
+      float pointerDist = length(toPointer);
+      float pointerFocus = smoothstep(1.1, 0.0, pointerDist);
+      float time = uTime * (0.66 + 0.74 * uSpeed);
+
+      vec2 flow = uv * 1.7 + vec2(time * 0.075, -time * 0.062);
+      flow += normalize(toPointer + vec2(0.001, -0.001)) * pointerFocus * (0.18 + uEnergy * 0.12);
+
+      vec2 effectUv = flow;
+      if (uEffect < 0.5) {
+        vec2 warp = vec2(
+          fbm(flow * 1.7 + vec2(2.1, -1.6)) - 0.5,
+          fbm(flow * 1.5 + vec2(-3.4, 4.2)) - 0.5
+        );
+        effectUv += warp * (0.65 * uEffectAmount);
+      } else if (uEffect < 1.5) {
+        float angle = (0.22 + uEffectAmount * 0.86) * exp(-pointerDist * 1.7) * sin(time * 0.32);
+        float c = cos(angle);
+        float s = sin(angle);
+        vec2 centered = uv - pointer;
+        effectUv = vec2(centered.x * c - centered.y * s, centered.x * s + centered.y * c) + pointer;
+      } else if (uEffect < 2.5) {
+        effectUv += vec2(
+          sin(uv.y * (7.0 + uEffectAmount * 9.0) + time * 0.74),
+          cos(uv.x * (7.6 + uEffectAmount * 8.0) - time * 0.69)
+        ) * (0.14 + 0.44 * uEffectAmount);
+      } else {
+        float ray = atan(uv.y - pointer.y, uv.x - pointer.x);
+        float beam = sin(ray * (6.0 + 24.0 * uEffectAmount) - time * 0.7);
+        float burst = exp(-pointerDist * (1.3 + uEffectAmount * 2.2));
+        effectUv += normalize(toPointer + vec2(0.001, -0.001)) * beam * burst * (0.36 + uEffectAmount * 0.64);
+      }
+
+      float nA = fbm(effectUv + vec2(fbm(effectUv * 1.21), fbm(effectUv * 1.37)));
+      float nB = fbm(effectUv * 1.9 - vec2(3.1, -1.7));
+      float ridge = abs(sin((nA + nB * 0.7 + uv.x * 0.35 - uv.y * 0.28 + time * 0.09) * 6.2831));
+
+      float tA = clamp(nA * 0.72 + ridge * 0.48, 0.0, 1.0);
+      float tB = fract(tA + 0.19 + 0.11 * sin(time * 0.17 + uv.x * 2.3));
+      vec3 tintA = pickPalette(tA, uPalette);
+      vec3 tintB = pickPalette(tB, uPalette);
+      vec3 tint = mix(tintA, tintB, 0.5 + 0.5 * sin(time * 0.13 + uv.y * 1.9));
+
+      float grain = (hash(vUv * vec2(1600.0, 900.0) + time * 63.7) - 0.5) * 0.085;
+      float pulse = 0.88 + 0.14 * sin(time * 0.41);
+      float intensity =
+        clamp(uIntensity, 0.0, 1.0) *
+        (0.8 + 0.35 * uEffectAmount) *
+        (0.74 + 0.26 * pointerFocus) *
+        (0.84 + 0.3 * uEnergy) *
+        pulse;
+
+      vec3 overlay = tint * 0.4 + vec3(grain);
+      vec3 color = mix(base.rgb, clamp(base.rgb + overlay, 0.0, 1.0), intensity);
+      gl_FragColor = vec4(color, base.a);
+    }
+  `,
+};
+
+export function getColorModeIndex(mode) {
+  const index = COLOR_MODE_IDS.indexOf(mode);
+  return index === -1 ? 0 : index;
+}
+
+function clamp01(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+function smoothstep(edge0, edge1, x) {
+  const t = clamp01((x - edge0) / (edge1 - edge0));
+  return t * t * (3 - 2 * t);
+}
+
+function easeOutBack(x) {
+  const c1 = 1.70158;
+  const c3 = c1 + 1;
+  const t = clamp01(x);
+  return 1 + c3 * Math.pow(t - 1, 3) + c1 * Math.pow(t - 1, 2);
+}
+
+function createSeededRandom(seed) {
+  // mulberry32: tiny, fast and good enough for layout jitter.
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function randomBetween(random, min, max) {
+  return random() * (max - min) + min;
+}
+
+export function normalizeSeed(value) {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed)) return 1;
+  return Math.abs(Math.floor(parsed)) % 4294967296;
+}
+
+function getTimelineSpeed(settle) {
+  return 0.72 + settle * 0.58;
+}
+
+function expSmoothing(rate, deltaSeconds) {
+  return 1 - Math.exp(-rate * deltaSeconds);
+}
+
+function hash01(seed) {
+  const value = Math.sin(seed * 12.9898) * 43758.5453;
+  return value - Math.floor(value);
+}
+
+export function normalizeWord(value) {
+  // Newlines and " / " are explicit line breaks; other control characters are dropped.
+  const next = String(value || "GEIST")
+    .replace(/\r\n?/g, "\n")
+    .replace(/[\p{Cc}\p{Cs}\u2028\u2029]/gu, (char) => (char === "\n" ? char : ""))
+    .replace(/[^\S\n]+/g, " ")
+    .replace(/ \/ /g, "\n")
+    .replace(/ *\n[\s]*/g, "\n")
+    .trim();
+  return next.length > 0 ? next : "GEIST";
+}
+
+function segmentGraphemes(text) {
+  if (!graphemeSegmenter) return Array.from(text);
+  return Array.from(graphemeSegmenter.segment(text), (entry) => entry.segment);
+}
+
+function getTextDirection(text) {
+  // Direction of the first strong character, like dir="auto".
+  const firstLetter = text.match(/\p{L}/u)?.[0];
+  return firstLetter && RTL_PATTERN.test(firstLetter) ? "rtl" : "ltr";
+}
+
+function splitWrapTokens(paragraph) {
+  if (!wordSegmenter) return paragraph.split(/( +)/);
+  return Array.from(wordSegmenter.segment(paragraph), (entry) => entry.segment);
+}
+
+function collectForegroundGlyphs(texts, base) {
+  const glyphs = [...base];
+  const known = new Set(glyphs);
+  for (const text of texts) {
+    for (const char of segmentGraphemes(text)) {
+      if (/\s/.test(char) || known.has(char)) continue;
+      known.add(char);
+      glyphs.push(char);
+    }
+  }
+  return glyphs;
+}
+
+function wrapTextLines(context, text, maxWidth) {
+  // Explicit breaks split paragraphs; each paragraph wraps after spaces, or
+  // between words in scripts that are written without them.
+  const lines = [];
+  for (const paragraph of text.split("\n")) {
+    let line = "";
+    let previous = "";
+    for (const token of splitWrapTokens(paragraph.trim())) {
+      const canBreak = /^\s+$/.test(previous) || CJK_BREAK_PATTERN.test(token);
+      const candidate = line + token;
+      if (
+        canBreak &&
+        line.trim() &&
+        token.trim() &&
+        context.measureText(candidate.trimEnd()).width > maxWidth
+      ) {
+        lines.push(line.trimEnd());
+        line = token;
+      } else {
+        line = candidate;
+      }
+      previous = token;
+    }
+    if (line.trim()) lines.push(line.trim());
+  }
+  return lines;
+}
+
+export function normalizePaperFx(paperFx) {
+  const source = paperFx && typeof paperFx === "object" ? paperFx : {};
+  const rawIntensity =
+    source.intensity === undefined || source.intensity === null
+      ? 0.34
+      : Number(source.intensity);
+  const rawAmount =
+    source.amount === undefined || source.amount === null ? 0.58 : Number(source.amount);
+  const rawSpeed =
+    source.speed === undefined || source.speed === null ? 1 : Number(source.speed);
+  const rawDotDensity =
+    source.dotDensity === undefined || source.dotDensity === null
+      ? 0.58
+      : Number(source.dotDensity);
+  return {
+    enabled: source.enabled !== false,
+    intensity: Math.max(0, Math.min(1, Number.isFinite(rawIntensity) ? rawIntensity : 0.34)),
+    amount: Math.max(0, Math.min(1, Number.isFinite(rawAmount) ? rawAmount : 0.58)),
+    speed: Math.max(0.2, Math.min(2.2, Number.isFinite(rawSpeed) ? rawSpeed : 1)),
+    effect:
+      source.effect === "swirl" ||
+      source.effect === "waves" ||
+      source.effect === "rays" ||
+      source.effect === "dotgrid" ||
+      source.effect === "grain"
+        ? source.effect
+        : "warp",
+    dotShape:
+      source.dotShape === "diamond" ||
+      source.dotShape === "square" ||
+      source.dotShape === "triangle"
+        ? source.dotShape
+        : "circle",
+    dotDensity: Math.max(
+      0.1,
+      Math.min(1, Number.isFinite(rawDotDensity) ? rawDotDensity : 0.58),
+    ),
+    grainShape:
+      source.grainShape === "wave" ||
+      source.grainShape === "dots" ||
+      source.grainShape === "truchet" ||
+      source.grainShape === "ripple" ||
+      source.grainShape === "blob" ||
+      source.grainShape === "sphere"
+        ? source.grainShape
+        : "corners",
+    palette:
+      source.palette === "aurora" || source.palette === "mono"
+        ? source.palette
+        : "prism",
+  };
+}
+
+export function normalizeBackgroundMeshFx(backgroundMeshFx) {
+  const source =
+    backgroundMeshFx && typeof backgroundMeshFx === "object" ? backgroundMeshFx : {};
+  const rawAmount =
+    source.amount === undefined || source.amount === null ? 0.58 : Number(source.amount);
+  const rawDotDensity =
+    source.dotDensity === undefined || source.dotDensity === null
+      ? 0.58
+      : Number(source.dotDensity);
+  return {
+    style:
+      source.style === "dotgrid" || source.style === "grain"
+        ? source.style
+        : "letters",
+    amount: Math.max(0, Math.min(1, Number.isFinite(rawAmount) ? rawAmount : 0.58)),
+    dotShape:
+      source.dotShape === "diamond" ||
+      source.dotShape === "square" ||
+      source.dotShape === "triangle"
+        ? source.dotShape
+        : "circle",
+    dotDensity: Math.max(
+      0.1,
+      Math.min(1, Number.isFinite(rawDotDensity) ? rawDotDensity : 0.58),
+    ),
+    grainShape:
+      source.grainShape === "wave" ||
+      source.grainShape === "dots" ||
+      source.grainShape === "truchet" ||
+      source.grainShape === "ripple" ||
+      source.grainShape === "blob" ||
+      source.grainShape === "sphere"
+        ? source.grainShape
+        : "corners",
+  };
+}
+
+export function normalizeModeStrengths(modeStrengths) {
+  const source = modeStrengths && typeof modeStrengths === "object" ? modeStrengths : {};
+  const normalized = {};
+  for (const { id: modeId } of getInteractionModes()) {
+    const raw = Number(source[modeId]);
+    normalized[modeId] = Number.isFinite(raw) ? Math.max(0.4, Math.min(1.8, raw)) : 1;
+  }
+  return normalized;
+}
+
+// backend is "cpu" (main thread), "worker" or "gpu". density multiplies the
+// foreground particle count and only applies while the GPU simulation runs;
+// the other backends always use the base grid.
+export function normalizeSimulation(simulation) {
+  const source = simulation && typeof simulation === "object" ? simulation : {};
+  const rawDensity = Number(source.density);
+  return {
+    backend: source.backend === "gpu" || source.backend === "worker" ? source.backend : "cpu",
+    density: Number.isFinite(rawDensity) ? Math.max(1, Math.min(10, rawDensity)) : 1,
+  };
+}
+
+function getPaperPaletteIndex(palette) {
+  if (palette === "aurora") return 1;
+  if (palette === "mono") return 2;
+  return 0;
+}
+
+function getPaperEffectIndex(effect) {
+  if (effect === "swirl") return 1;
+  if (effect === "waves") return 2;
+  if (effect === "rays") return 3;
+  if (effect === "dotgrid") return 4;
+  if (effect === "grain") return 5;
+  return 0;
+}
+
+function getPaperDotShapeIndex(shape) {
+  if (shape === "diamond") return 1;
+  if (shape === "square") return 2;
+  if (shape === "triangle") return 3;
+  return 0;
+}
+
+function getPaperGrainShapeIndex(shape) {
+  if (shape === "wave") return 1;
+  if (shape === "dots") return 2;
+  if (shape === "truchet") return 3;
+  if (shape === "ripple") return 4;
+  if (shape === "blob") return 5;
+  if (shape === "sphere") return 6;
+  return 0;
+}
+
+export function normalizeTimeline(timeline) {
+  const source = timeline && typeof timeline === "object" ? timeline : {};
+  const values = TIMELINE_PHASES.map((phase) => Number(source[phase.id]));
+  const increasing = values.every(
+    (value, index) =>
+      Number.isFinite(value) && value > (index === 0 ? 0 : values[index - 1]),
+  );
+  if (!increasing) return DEFAULT_TIMELINE;
+  return {
+    meshEnd: values[0],
+    convergeEnd: values[1],
+    holdEnd: values[2],
+    solidEnd: values[3],
+  };
+}
+
+export function normalizeTextLayout(layout) {
+  const source = layout && typeof layout === "object" ? layout : {};
+  const maxWidth = Number(source.maxWidth);
+  const lineHeight = Number(source.lineHeight);
+  return {
+    maxWidth: Number.isFinite(maxWidth)
+      ? Math.max(0.3, Math.min(1, maxWidth))
+      : DEFAULT_TEXT_LAYOUT.maxWidth,
+    lineHeight: Number.isFinite(lineHeight)
+      ? Math.max(0.6, Math.min(2, lineHeight))
+      : DEFAULT_TEXT_LAYOUT.lineHeight,
+    align: TEXT_ALIGNMENTS.includes(source.align) ? source.align : DEFAULT_TEXT_LAYOUT.align,
+  };
+}
+
+export function normalizeTargetImage(targetImage) {
+  if (!targetImage || typeof targetImage.src !== "string" || !targetImage.src) {
+    return null;
+  }
+  const x = Number(targetImage.x);
+  const y = Number(targetImage.y);
+  const scale = Number(targetImage.scale);
+  const threshold = Number(targetImage.threshold);
+  const glyphs =
+    typeof targetImage.glyphs === "string"
+      ? segmentGraphemes(targetImage.glyphs).filter((glyph) => !/\s/.test(glyph))
+      : [];
+  return {
+    src: targetImage.src,
+    x: Number.isFinite(x) ? Math.max(-0.5, Math.min(0.5, x)) : 0,
+    y: Number.isFinite(y) ? Math.max(-0.5, Math.min(0.5, y)) : 0,
+    scale: Number.isFinite(scale) ? Math.max(0.1, Math.min(1.5, scale)) : 1,
+    threshold: Number.isFinite(threshold)
+      ? Math.max(1, Math.min(254, Math.round(threshold)))
+      : TEXT_MASK_THRESHOLD,
+    glyphs: glyphs.length > 0 ? glyphs : FOREGROUND_GLYPHS,
+  };
+}
+
+export function areTargetImagesEqual(a, b) {
+  const prev = normalizeTargetImage(a);
+  const next = normalizeTargetImage(b);
+  if (!prev || !next) return prev === next;
+  return (
+    prev.src === next.src &&
+    prev.x === next.x &&
+    prev.y === next.y &&
+    prev.scale === next.scale &&
+    prev.threshold === next.threshold &&
+    prev.glyphs.join("") === next.glyphs.join("")
+  );
+}
+
+// Workers have no Image element, so there the file is decoded to a bitmap.
+// Either result can be drawn into a 2D context.
+function loadTargetImage(src) {
+  if (typeof Image === "undefined") {
+    return fetch(src)
+      .then((response) => response.blob())
+      .then((blob) => createImageBitmap(blob))
+      .catch(() => {
+        throw new Error("Target image could not be decoded.");
+      });
+  }
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.decoding = "async";
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error("Target image could not be decoded."));
+    image.src = src;
+  });
+}
+
+export function normalizePlaylist(playlist) {
+  if (!playlist || !Array.isArray(playlist.words)) return null;
+  const words = playlist.words
+    .filter((entry) => typeof entry?.word === "string" && entry.word.trim().length > 0)
+    .map((entry) => {
+      const hold = Number(entry.hold);
+      return {
+        word: normalizeWord(entry.word),
+        hold: Number.isFinite(hold)
+          ? Math.max(0.5, Math.min(30, hold))
+          : PLAYLIST_DEFAULT_HOLD,
+      };
+    });
+  if (words.length === 0) return null;
+  return {
+    words,
+    order: PLAYLIST_ORDERS.includes(playlist.order) ? playlist.order : "sequential",
+    end: PLAYLIST_END_MODES.includes(playlist.end) ? playlist.end : "loop",
+  };
+}
+
+function arePlaylistWordsEqual(a, b) {
+  return (
+    a.words.length === b.words.length &&
+    a.words.every((entry, index) => entry.word === b.words[index].word)
+  );
+}
+
+export function arePlaylistsEqual(prev, next) {
+  const a = normalizePlaylist(prev);
+  const b = normalizePlaylist(next);
+  if (!a || !b) return a === b;
+  return (
+    a.order === b.order &&
+    a.end === b.end &&
+    arePlaylistWordsEqual(a, b) &&
+    a.words.every((entry, index) => entry.hold === b.words[index].hold)
+  );
+}
+
+export function normalizeFontSet(fontSet) {
+  const fallback = {
+    line: `"Geist Pixel Line", ui-monospace, SFMono-Regular, Menlo, Monaco, ${INTL_SANS_FALLBACK}, monospace`,
+    solid: `"Geist Pixel Square", ui-monospace, SFMono-Regular, Menlo, Monaco, ${INTL_SANS_FALLBACK}, monospace`,
+    background: `"Geist Pixel Line", ui-monospace, SFMono-Regular, Menlo, Monaco, ${INTL_SANS_FALLBACK}, monospace`,
+  };
+  if (!fontSet || typeof fontSet !== "object") return fallback;
+  const line =
+    typeof fontSet.line === "string" && fontSet.line.trim().length > 0
+      ? fontSet.line.trim()
+      : fallback.line;
+  const solid =
+    typeof fontSet.solid === "string" && fontSet.solid.trim().length > 0
+      ? fontSet.solid.trim()
+      : fallback.solid;
+  const background =
+    typeof fontSet.background === "string" && fontSet.background.trim().length > 0
+      ? fontSet.background.trim()
+      : fallback.background;
+  return { line, solid, background };
+}
+
+// Loads are shared so every hero on the page registers each face only once.
+function loadCanvasFont(name, url) {
+  let load = canvasFontLoads.get(name);
+  if (!load) {
+    const font = new FontFace(name, `url(${url})`);
+    load = font.load().then(() => {
+      // Worker scopes expose their own FontFaceSet for OffscreenCanvas text.
+      (globalThis.document?.fonts ?? globalThis.fonts).add(font);
+    });
+    load.catch(() => canvasFontLoads.delete(name));
+    canvasFontLoads.set(name, load);
+  }
+  return load;
+}
+
+function loadPostprocessingModules() {
+  if (!postprocessingModules) {
+    postprocessingModules = Promise.all([
+      import("three/examples/jsm/postprocessing/EffectComposer.js"),
+      import("three/examples/jsm/postprocessing/RenderPass.js"),
+      import("three/examples/jsm/postprocessing/UnrealBloomPass.js"),
+      import("three/examples/jsm/postprocessing/ShaderPass.js"),
+    ]).then(([{ EffectComposer }, { RenderPass }, { UnrealBloomPass }, { ShaderPass }]) => ({
+      EffectComposer,
+      RenderPass,
+      UnrealBloomPass,
+      ShaderPass,
+    }));
+    postprocessingModules.catch(() => {
+      postprocessingModules = null;
+    });
+  }
+  return postprocessingModules;
+}
+
+function loadWebGPUModule() {
+  if (!webgpuModule) {
+    webgpuModule = import("./webgpuBackend.js");
+    webgpuModule.catch(() => {
+      webgpuModule = null;
+    });
+  }
+  return webgpuModule;
+}
+
+// Atlases are keyed by glyphs, font and cell size, so heroes drawing the same
+// set share one texture. It is disposed when its last user releases it.
+function acquireGlyphAtlas(key, build) {
+  let entry = glyphAtlasCache.get(key);
+  if (!entry) {
+    entry = { texture: build(), users: 0 };
+    glyphAtlasCache.set(key, entry);
+  }
+  entry.users += 1;
+  return entry.texture;
+}
+
+function releaseGlyphAtlas(key) {
+  const entry = glyphAtlasCache.get(key);
+  if (!entry) return;
+  entry.users -= 1;
+  if (entry.users > 0) return;
+  entry.texture.dispose();
+  glyphAtlasCache.delete(key);
+}
+
+// Whitespace is dropped; repeats are kept so a set can weight some glyphs.
+function normalizeGlyphSet(value, fallback) {
+  const source = Array.isArray(value) ? value.join("") : value;
+  if (typeof source !== "string") return fallback;
+  const glyphs = segmentGraphemes(source)
+    .filter((glyph) => !/\s/.test(glyph))
+    .slice(0, GLYPH_SET_MAX_LENGTH);
+  return glyphs.length > 0 ? glyphs : fallback;
+}
+
+export function normalizeGlyphSets(glyphSets) {
+  return {
+    foreground: normalizeGlyphSet(glyphSets?.foreground, FOREGROUND_GLYPHS),
+    background: normalizeGlyphSet(glyphSets?.background, BACKGROUND_GLYPHS),
+  };
+}
+
+export function areGlyphSetsEqual(a, b) {
+  const prev = normalizeGlyphSets(a);
+  const next = normalizeGlyphSets(b);
+  return (
+    prev.foreground.join("") === next.foreground.join("") &&
+    prev.background.join("") === next.background.join("")
+  );
+}
+
+export function normalizeFontAxes(axes) {
+  if (!axes || typeof axes !== "object") return null;
+  const entries = Object.entries(axes)
+    .filter(([tag, value]) => FONT_AXIS_TAG_PATTERN.test(tag) && Number.isFinite(Number(value)))
+    .map(([tag, value]) => [tag, Number(value)])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  return entries.length > 0 ? Object.fromEntries(entries) : null;
+}
+
+function formatFontAxes(axes) {
+  if (!axes) return "";
+  return Object.entries(axes)
+    .map(([tag, value]) => `"${tag}" ${value}`)
+    .join(", ");
+}
+
+export function areFontAxesEqual(a, b) {
+  return formatFontAxes(normalizeFontAxes(a)) === formatFontAxes(normalizeFontAxes(b));
+}
+
+// Scenes running in a worker have no document, so their 2D work happens on
+// OffscreenCanvas instead.
+function createCanvas(width, height) {
+  if (typeof document === "undefined") {
+    return new OffscreenCanvas(width, height);
+  }
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+// The CANVAS_FONT_AXES map onto the font shorthand (weight, stretch, oblique
+// angle). Every axis, registered or custom, is also passed through where a
+// context exposes fontVariationSettings.
+function setCanvasFont(context, fontSize, fontFamily, axes) {
+  context.font = `${fontSize}px ${fontFamily}`;
+  if (!axes) return;
+
+  const weight = Math.round(Math.max(1, Math.min(1000, axes.wght ?? 400)));
+  const slant = axes.slnt ?? 0;
+  const style = slant !== 0 ? `oblique ${-slant}deg ` : "";
+  const stretch = getFontStretchKeyword(axes.wdth ?? 100);
+  // An unparseable shorthand is ignored, leaving the plain font set above.
+  context.font = `${style}${weight} ${stretch} ${fontSize}px ${fontFamily}`;
+  if ("fontStretch" in context) {
+    context.fontStretch = stretch;
+  }
+  if ("fontVariationSettings" in context) {
+    context.fontVariationSettings = formatFontAxes(axes);
+  }
+}
+
+function makeGlyphAtlas(
+  glyphs,
+  fontFamily,
+  fontSize,
+  cellSize = GLYPH_ATLAS_CELL,
+  fontAxes = null,
+) {
+  const columns = Math.max(1, Math.ceil(Math.sqrt(glyphs.length)));
+  const rows = Math.max(1, Math.ceil(glyphs.length / columns));
+  // Large sets shrink their cells rather than exceed a safe texture size.
+  const cell = Math.min(cellSize, Math.floor(GLYPH_ATLAS_MAX_SIZE / columns));
+  fontSize *= cell / cellSize;
+  const canvas = createCanvas(cell * columns, cell * rows);
+  const context = canvas.getContext("2d");
+
+  context.clearRect(0, 0, canvas.width, canvas.height);
+  context.fillStyle = "#fff";
+  context.textAlign = "center";
+  context.textBaseline = "middle";
+  setCanvasFont(context, fontSize, fontFamily, fontAxes);
+
+  for (let i = 0; i < glyphs.length; i += 1) {
+    const column = i % columns;
+    const row = Math.floor(i / columns);
+    context.fillText(glyphs[i], column * cell + cell * 0.5, row * cell + cell * 0.52);
+  }
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.userData.grid = new THREE.Vector2(columns, rows);
+  texture.minFilter = THREE.NearestFilter;
+  texture.magFilter = THREE.NearestFilter;
+  texture.generateMipmaps = false;
+  texture.needsUpdate = true;
+  return texture;
+}
+
+function getGlyphAtlasGrid(texture) {
+  return texture?.userData?.grid ?? new THREE.Vector2(1, 1);
+}
+
+function resolveSnapshotSize(options, viewportWidth, viewportHeight, maxEdge) {
+  const source = options && typeof options === "object" ? options : {};
+  const rawWidth = Number(source.width);
+  const rawHeight = Number(source.height);
+  const rawLongEdge = Number(source.longEdge);
+  const rawScale = Number(source.scale);
+  let width = viewportWidth;
+  let height = viewportHeight;
+
+  if (rawWidth > 0 && rawHeight > 0) {
+    width = rawWidth;
+    height = rawHeight;
+  } else if (rawLongEdge > 0) {
+    const ratio = rawLongEdge / Math.max(viewportWidth, viewportHeight);
+    width = viewportWidth * ratio;
+    height = viewportHeight * ratio;
+  } else if (rawScale > 0) {
+    width = viewportWidth * rawScale;
+    height = viewportHeight * rawScale;
+  }
+
+  const fit = Math.min(1, maxEdge / Math.max(width, height));
+  return {
+    width: Math.max(1, Math.round(width * fit)),
+    height: Math.max(1, Math.round(height * fit)),
+  };
+}
+
+function encodePixelsToPng(pixels, width, height) {
+  const canvas = createCanvas(width, height);
+  const context = canvas.getContext("2d");
+  const image = context.createImageData(width, height);
+  const rowBytes = width * 4;
+
+  // WebGL reads rows bottom-up; flip them and force an opaque still.
+  for (let y = 0; y < height; y += 1) {
+    const sourceStart = (height - 1 - y) * rowBytes;
+    image.data.set(pixels.subarray(sourceStart, sourceStart + rowBytes), y * rowBytes);
+  }
+  for (let i = 3; i < image.data.length; i += 4) {
+    image.data[i] = 255;
+  }
+  context.putImageData(image, 0, 0);
+
+  if (typeof canvas.convertToBlob === "function") {
+    return canvas.convertToBlob({ type: "image/png" });
+  }
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error("PNG encoding failed."));
+      }
+    }, "image/png");
+  });
+}
+
+function pickRecordingMimeType(format) {
+  if (typeof MediaRecorder === "undefined") return null;
+  const candidates =
+    format === "mp4"
+      ? [...RECORDING_MIME_TYPES.mp4, ...RECORDING_MIME_TYPES.webm]
+      : RECORDING_MIME_TYPES.webm;
+  return candidates.find((type) => MediaRecorder.isTypeSupported(type)) ?? null;
+}
+
+function normalizeRecordingOptions(options) {
+  const source = options && typeof options === "object" ? options : {};
+  const rawFps = Number(source.fps);
+  const rawBitrate = Number(source.bitrate);
+  const rawMaxSeconds = Number(source.maxSeconds);
+  return {
+    format: source.format === "mp4" ? "mp4" : "webm",
+    fps: Number.isFinite(rawFps) ? Math.max(12, Math.min(60, Math.round(rawFps))) : 30,
+    bitrate: Number.isFinite(rawBitrate)
+      ? Math.max(1_000_000, Math.min(40_000_000, rawBitrate))
+      : 12_000_000,
+    restart: source.restart !== false,
+    stopAtSolid: source.stopAtSolid === true,
+    maxSeconds:
+      Number.isFinite(rawMaxSeconds) && rawMaxSeconds > 0 ? Math.min(600, rawMaxSeconds) : 0,
+  };
+}
+
+function normalizeSequenceOptions(options) {
+  const source = options && typeof options === "object" ? options : {};
+  const rawFps = Number(source.fps);
+  const rawTail = Number(source.tailSeconds);
+  return {
+    fps: Number.isFinite(rawFps) ? Math.max(12, Math.min(60, Math.round(rawFps))) : 60,
+    tailSeconds: Number.isFinite(rawTail) ? Math.max(0, Math.min(30, rawTail)) : 2,
+    signal: source.signal ?? null,
+    onProgress: typeof source.onProgress === "function" ? source.onProgress : null,
+  };
+}
+
+export function areMotionSettingsEqual(a, b) {
+  return (
+    (a?.flow ?? 1) === (b?.flow ?? 1) &&
+    (a?.drag ?? 1) === (b?.drag ?? 1) &&
+    (a?.camera ?? 1) === (b?.camera ?? 1) &&
+    (a?.settle ?? 1) === (b?.settle ?? 1)
+  );
+}
+
+function getTimelinePhase(timeline, position) {
+  const phase = TIMELINE_PHASES.find((entry) => position < timeline[entry.id]);
+  return (phase ?? TIMELINE_PHASES[TIMELINE_PHASES.length - 1]).label.toLowerCase();
+}
+
+export function areTimelinesEqual(a, b) {
+  return TIMELINE_PHASES.every(
+    (phase) =>
+      Math.abs(
+        (a?.[phase.id] ?? DEFAULT_TIMELINE[phase.id]) -
+          (b?.[phase.id] ?? DEFAULT_TIMELINE[phase.id]),
+      ) < 0.0001,
+  );
+}
+
+export function areTextLayoutsEqual(a, b) {
+  const prev = normalizeTextLayout(a);
+  const next = normalizeTextLayout(b);
+  return (
+    prev.align === next.align &&
+    Math.abs(prev.maxWidth - next.maxWidth) < 0.0001 &&
+    Math.abs(prev.lineHeight - next.lineHeight) < 0.0001
+  );
+}
+
+export function areFontSetEqual(a, b) {
+  return (
+    (a?.line ?? "") === (b?.line ?? "") &&
+    (a?.solid ?? "") === (b?.solid ?? "") &&
+    (a?.background ?? "") === (b?.background ?? "")
+  );
+}
+
+export function arePaperFxEqual(a, b) {
+  return (
+    (a?.enabled ?? true) === (b?.enabled ?? true) &&
+    (a?.palette ?? "prism") === (b?.palette ?? "prism") &&
+    (a?.effect ?? "warp") === (b?.effect ?? "warp") &&
+    (a?.dotShape ?? "circle") === (b?.dotShape ?? "circle") &&
+    (a?.grainShape ?? "corners") === (b?.grainShape ?? "corners") &&
+    Math.abs((a?.intensity ?? 0) - (b?.intensity ?? 0)) < 0.0001 &&
+    Math.abs((a?.amount ?? 0.58) - (b?.amount ?? 0.58)) < 0.0001 &&
+    Math.abs((a?.dotDensity ?? 0.58) - (b?.dotDensity ?? 0.58)) < 0.0001 &&
+    Math.abs((a?.speed ?? 1) - (b?.speed ?? 1)) < 0.0001
+  );
+}
+
+export function areBackgroundMeshFxEqual(a, b) {
+  return (
+    (a?.style ?? "letters") === (b?.style ?? "letters") &&
+    (a?.dotShape ?? "circle") === (b?.dotShape ?? "circle") &&
+    (a?.grainShape ?? "corners") === (b?.grainShape ?? "corners") &&
+    Math.abs((a?.amount ?? 0.58) - (b?.amount ?? 0.58)) < 0.0001 &&
+    Math.abs((a?.dotDensity ?? 0.58) - (b?.dotDensity ?? 0.58)) < 0.0001
+  );
+}
+
+export function areSimulationsEqual(a, b) {
+  return (
+    (a?.backend ?? "cpu") === (b?.backend ?? "cpu") &&
+    Math.abs((a?.density ?? 1) - (b?.density ?? 1)) < 0.0001
+  );
+}
+
+export function areModeStrengthsEqual(a, b) {
+  return getInteractionModes().every(
+    ({ id: modeId }) => Math.abs((a?.[modeId] ?? 1) - (b?.[modeId] ?? 1)) < 0.0001,
+  );
+}
+
+// Prop name -> the ref in host.refs that carries it. The hero keeps these
+// refs current; a worker scene gets the same values over postMessage.
+export const SCENE_PROP_REFS = {
+  word: "wordRef",
+  playlist: "playlistRef",
+  textLayout: "textLayoutRef",
+  targetImage: "targetImageRef",
+  seed: "seedRef",
+  fontSet: "fontSetRef",
+  fontAxes: "fontAxesRef",
+  glyphSets: "glyphSetsRef",
+  simulation: "simulationRef",
+  timeline: "timelineRef",
+  interactionMode: "interactionModeRef",
+  colorMode: "colorModeRef",
+  motion: "motionRef",
+  modeStrengths: "modeStrengthsRef",
+  paperFx: "paperFxRef",
+  backgroundMeshFx: "backgroundMeshFxRef",
+  transportLoop: "transportLoopRef",
+};
+
+// Runs the hero's renderer, meshes and animation loop on canvas, which is
+// either the hero's own canvas or an OffscreenCanvas inside
+// meshScene.worker.js. Nothing in here touches the DOM: the host supplies the
+// initial size, the prop refs listed above plus eventHandlersRef, and the
+// transportRef/controlsRef slots that are filled once the scene has booted.
+// It also takes setPerfText, setScrubberValue and setTransportPlaying for the
+// overlay. Pointer, size and visibility changes come in through the returned
+// handle.
+export function createMeshScene(canvas, host) {
+  const { sharedRenderer, setPerfText, setScrubberValue, setTransportPlaying } = host;
+  // WebGPU is opt-in and never used with the shared WebGL context.
+  const requestedBackend =
+    host.renderBackend === "webgpu" && !sharedRenderer ? "webgpu" : "webgl";
+  // "webgpu" when the hero dropped that request because the active mode has
+  // no node to render with.
+  const rendererFallback = host.rendererFallback ?? null;
+  const {
+    wordRef,
+    playlistRef,
+    textLayoutRef,
+    targetImageRef,
+    seedRef,
+    fontSetRef,
+    fontAxesRef,
+    glyphSetsRef,
+    simulationRef,
+    timelineRef,
+    interactionModeRef,
+    colorModeRef,
+    motionRef,
+    modeStrengthsRef,
+    paperFxRef,
+    backgroundMeshFxRef,
+    transportLoopRef,
+    eventHandlersRef,
+    transportRef,
+    controlsRef,
+  } = host.refs;
+
+  let glyphSet = glyphSetsRef.current;
+  let fgGlyphs = glyphSet.foreground;
+  let activeFontSet = fontSetRef.current;
+  let activeFontAxes = fontAxesRef.current;
+  let activeBackgroundMeshStyle = backgroundMeshFxRef.current.style;
+  let activeSeed = seedRef.current;
+  let activeSimulation = simulationRef.current;
+  let activeTextLayout = textLayoutRef.current;
+  let activeTargetImage = null;
+  let targetImageElement = null;
+  let targetImageRequest = 0;
+
+  let timeline = timelineRef.current;
+
+  let containerWidth = host.width;
+  let containerHeight = host.height;
+  let screenPixelRatio = host.pixelRatio;
+  let viewportWidth = containerWidth;
+  let viewportHeight = containerHeight;
+  let cameraBaseZ = 0;
+  let foregroundStep = 18;
+  // Grid spacing of the particles; finer than foregroundStep when the GPU
+  // simulation raises the density. Forces keep scaling with foregroundStep.
+  let particleStep = 18;
+  let solidFontSize = 200;
+
+  let currentWord = wordRef.current;
+  let retargetMorph = 1;
+  let retargetExcite = 0;
+  // Zero keeps the motion-derived morph speed; setWord() can override it.
+  let retargetRate = 0;
+  let reportedPhase = "";
+  // Set when the target word or image changes, and cleared once the morph
+  // settles. Rebuilds restart the morph too, but do not report a retarget.
+  let retargetPending = false;
+
+  let playlist = playlistRef.current;
+  let playlistRandom = null;
+  let playlistQueue = [];
+  let playlistCursor = 0;
+  let playlistHoldLeft = 0;
+  let playlistFinished = false;
+
+  let qualityScale = Math.max(
+    0.72,
+    1 - Math.max(0, screenPixelRatio - 1) * 0.12,
+  );
+  let qualityEvalAt = 2;
+  let fpsEma = 60;
+  let hudUpdateAt = 0;
+
+  // Shared instances borrow the page-wide context and scheduler, and copy
+  // each finished frame into their own canvas through a 2D context. Own
+  // renderers are created in boot, which tries WebGPU first when asked and
+  // reports a canvas without any usable context through host.onError.
+  let renderer = sharedRenderer ? acquireSharedRenderer() : null;
+  const outputContext = sharedRenderer ? canvas.getContext("2d") : null;
+  const requestFrame = sharedRenderer
+    ? requestSharedFrame
+    : (callback) => requestAnimationFrame(callback);
+  const cancelFrame = sharedRenderer
+    ? cancelSharedFrame
+    : (id) => cancelAnimationFrame(id);
+  let outputWidth = 1;
+  let outputHeight = 1;
+  let gpuParticlesSupported = false;
+  // The loaded webgpuBackend.js while the WebGPU renderer is active.
+  let webgpu = null;
+
+  const scene = new THREE.Scene();
+  const camera = new THREE.PerspectiveCamera(38, 1, 1, 8000);
+  scene.add(camera);
+
+  let postprocessing = null;
+  let composer = null;
+  let nodePostProcessing = null;
+  let renderPass = null;
+  let bloomPass = null;
+  let filmPass = null;
+  let paperPass = null;
+  let filmUniforms = null;
+  let paperUniforms = null;
+
+  const clock = new THREE.Clock();
+  let elapsedTime = 0;
+  let timelinePosition = 0;
+  let timelineDirection = 1;
+  let timelinePlaying = true;
+  let timelineScrubbing = false;
+  let scrubberValue = -1;
+  let recording = null;
+  let frameExportActive = false;
+
+  const foregroundData = createForegroundData(0);
+  const foregroundFrame = createForegroundFrame();
+
+  let foregroundTargets = [];
+  let targetCount = 0;
+
+  let foregroundMesh = null;
+  let foregroundMaterial = null;
+  let foregroundAtlas = null;
+  let foregroundSolidAtlas = null;
+  let foregroundAtlasKey = "";
+  let foregroundSolidAtlasKey = "";
+  let foregroundOffsetAttribute = null;
+  let foregroundDepthAttribute = null;
+  let foregroundGlyphAttribute = null;
+  let particleSimulation = null;
+  let foregroundWorker = null;
+  let foregroundWorkerFailed = false;
+  // The requested simulation backend the active mode has no code for, if any.
+  let simulationFallback = null;
+  // Time the worker missed while it was still busy with the previous step.
+  let foregroundWorkerLag = 0;
+
+  let backgroundAtlas = null;
+  let backgroundAtlasKey = "";
+  let backgroundFallbackTexture = null;
+  let backgroundLayers = [];
+
+  let animationFrame = 0;
+  let resizeFrame = 0;
+  let disposed = false;
+  let started = false;
+  let propAppliers = null;
+  let inView = true;
+
+  let pointerTargetX = 0;
+  let pointerTargetY = 0;
+  let pointerX = 0;
+  let pointerY = 0;
+  let pointerStrengthTarget = 0;
+  let pointerStrength = 0;
+  let pointerVelocityTargetX = 0;
+  let pointerVelocityTargetY = 0;
+  let pointerVelocityX = 0;
+  let pointerVelocityY = 0;
+  let pointerEnergy = 0;
+  let ambientDriftX = 0;
+  let ambientDriftY = 0;
+
+  function getRenderPixelRatio() {
+    const styleScale = activeBackgroundMeshStyle === "letters" ? 1 : 0.88;
+    return (
+      Math.min(screenPixelRatio, 2) *
+      (0.72 + 0.28 * qualityScale) *
+      styleScale
+    );
+  }
+
+  function disposeForeground(disposeAtlases = false) {
+    if (foregroundMesh) {
+      scene.remove(foregroundMesh);
+      foregroundMesh.geometry.dispose();
+    }
+    if (foregroundMaterial) {
+      foregroundMaterial.dispose();
+    }
+    if (disposeAtlases && foregroundAtlas) {
+      releaseGlyphAtlas(foregroundAtlasKey);
+      foregroundAtlasKey = "";
+    }
+    if (disposeAtlases && foregroundSolidAtlas) {
+      releaseGlyphAtlas(foregroundSolidAtlasKey);
+      foregroundSolidAtlasKey = "";
+    }
+
+    foregroundMesh = null;
+    foregroundMaterial = null;
+    if (disposeAtlases) {
+      foregroundAtlas = null;
+      foregroundSolidAtlas = null;
+    }
+    foregroundOffsetAttribute = null;
+    foregroundDepthAttribute = null;
+    foregroundGlyphAttribute = null;
+    if (particleSimulation) {
+      particleSimulation.dispose();
+      particleSimulation = null;
+    }
+  }
+
+  function disposeBackgroundLayers(disposeAtlas = false) {
+    for (const layer of backgroundLayers) {
+      scene.remove(layer.mesh);
+      layer.mesh.geometry.dispose();
+      layer.material.dispose();
+    }
+    backgroundLayers = [];
+    if (disposeAtlas && backgroundAtlas) {
+      releaseGlyphAtlas(backgroundAtlasKey);
+      backgroundAtlasKey = "";
+      backgroundAtlas = null;
+    }
+    if (disposeAtlas && backgroundFallbackTexture) {
+      backgroundFallbackTexture.dispose();
+      backgroundFallbackTexture = null;
+    }
+  }
+
+  function getBackgroundSamplerTexture(style) {
+    if (style === "letters") {
+      const nextBackgroundAtlasKey = `${glyphSet.background.join("")}|${activeFontSet.background}|104`;
+      if (!backgroundAtlas || backgroundAtlasKey !== nextBackgroundAtlasKey) {
+        if (backgroundAtlas) {
+          releaseGlyphAtlas(backgroundAtlasKey);
+        }
+        backgroundAtlas = acquireGlyphAtlas(nextBackgroundAtlasKey, () =>
+          makeGlyphAtlas(glyphSet.background, activeFontSet.background, 104),
+        );
+        backgroundAtlasKey = nextBackgroundAtlasKey;
+      }
+      return backgroundAtlas;
+    }
+
+    if (backgroundAtlas) {
+      releaseGlyphAtlas(backgroundAtlasKey);
+      backgroundAtlas = null;
+      backgroundAtlasKey = "";
+    }
+
+    if (!backgroundFallbackTexture) {
+      const pixel = new Uint8Array([255, 255, 255, 255]);
+      backgroundFallbackTexture = new THREE.DataTexture(pixel, 1, 1);
+      backgroundFallbackTexture.needsUpdate = true;
+    }
+    return backgroundFallbackTexture;
+  }
+
+  function fitCamera() {
+    camera.aspect = viewportWidth / viewportHeight;
+    camera.fov = 38;
+    const halfFov = THREE.MathUtils.degToRad(camera.fov * 0.5);
+    cameraBaseZ = (viewportHeight * 0.5) / Math.tan(halfFov);
+    camera.position.set(0, 0, cameraBaseZ);
+    camera.lookAt(0, 0, 0);
+    camera.updateProjectionMatrix();
+  }
+
+  function buildForegroundTargets(text) {
+    const mask = createCanvas(
+      Math.max(1, Math.floor(viewportWidth)),
+      Math.max(1, Math.floor(viewportHeight)),
+    );
+    const context = mask.getContext("2d", { willReadFrequently: true });
+
+    const targetWord = normalizeWord(text);
+    const maxWidth = viewportWidth * activeTextLayout.maxWidth;
+    const maxHeight = viewportHeight * 0.8;
+    let fontSize = Math.min(viewportWidth * 0.34, viewportHeight * 0.58);
+    let lines = [];
+    // Wrapping depends on the font size and the size on the line count, so
+    // shrink until the wrapped block fits vertically.
+    for (let pass = 0; pass < 4; pass += 1) {
+      setCanvasFont(context, fontSize, activeFontSet.solid, activeFontAxes);
+      lines = wrapTextLines(context, targetWord, maxWidth);
+      const blockHeight = lines.length * fontSize * activeTextLayout.lineHeight;
+      if (blockHeight <= maxHeight) break;
+      fontSize *= maxHeight / blockHeight;
+    }
+
+    const rows = lines.map((line) => {
+      const direction = getTextDirection(line);
+      context.direction = direction;
+      setCanvasFont(context, fontSize, activeFontSet.solid, activeFontAxes);
+      const measured = context.measureText(line).width;
+      const size = measured > maxWidth ? (fontSize * maxWidth) / measured : fontSize;
+      setCanvasFont(context, size, activeFontSet.solid, activeFontAxes);
+      const chars = segmentGraphemes(line);
+      // Measure growing prefixes so shaping, ligatures and kerning are
+      // reflected in where each grapheme ends.
+      const edges = [0];
+      let prefix = "";
+      for (const char of chars) {
+        prefix += char;
+        edges.push(context.measureText(prefix).width);
+      }
+      return {
+        text: line,
+        size,
+        direction,
+        chars,
+        edges,
+        width: edges[edges.length - 1],
+        pitch: size * activeTextLayout.lineHeight,
+      };
+    });
+    solidFontSize = rows.reduce((largest, row) => Math.max(largest, row.size), 0);
+
+    context.clearRect(0, 0, mask.width, mask.height);
+    context.fillStyle = "#fff";
+    context.textAlign = "left";
+    context.textBaseline = "middle";
+
+    const blockWidth = rows.reduce((widest, row) => Math.max(widest, row.width), 0);
+    const blockHeight = rows.reduce((sum, row) => sum + row.pitch, 0);
+    let rowTop = mask.height * 0.5 - blockHeight * 0.5;
+    for (const row of rows) {
+      if (activeTextLayout.align === "left") {
+        row.startX = mask.width * 0.5 - blockWidth * 0.5;
+      } else if (activeTextLayout.align === "right") {
+        row.startX = mask.width * 0.5 + blockWidth * 0.5 - row.width;
+      } else {
+        row.startX = mask.width * 0.5 - row.width * 0.5;
+      }
+      row.top = rowTop;
+      row.bottom = rowTop + row.pitch;
+      rowTop = row.bottom;
+
+      context.direction = row.direction;
+      setCanvasFont(context, row.size, activeFontSet.solid, activeFontAxes);
+      context.fillText(row.text, row.startX, (row.top + row.bottom) * 0.5);
+
+      // Right-to-left lines run from the right edge of the row.
+      const rowEnd = row.startX + row.width;
+      row.ranges = row.chars.map((char, i) =>
+        row.direction === "rtl"
+          ? { start: rowEnd - row.edges[i + 1], end: rowEnd - row.edges[i], char }
+          : { start: row.startX + row.edges[i], end: row.startX + row.edges[i + 1], char },
+      );
+    }
+
+    const glyphByChar = new Map(fgGlyphs.map((char, idx) => [char, idx]));
+    const fallbackChar = rows[0]?.chars[0] ?? "G";
+    const sampleStep = Math.max(2, Math.floor(particleStep * 0.38));
+    const data = context.getImageData(0, 0, mask.width, mask.height).data;
+    const targets = [];
+
+    for (let y = 0; y < mask.height; y += sampleStep) {
+      for (let x = 0; x < mask.width; x += sampleStep) {
+        const alpha = data[(y * mask.width + x) * 4 + 3];
+        if (alpha > TEXT_MASK_THRESHOLD) {
+          let row = rows.find((entry) => y >= entry.top && y <= entry.bottom);
+          if (!row) {
+            row = y < rows[0].top ? rows[0] : rows[rows.length - 1];
+          }
+          const { ranges } = row;
+          let rangeIdx = ranges.findIndex((range) => x >= range.start && x <= range.end);
+          if (rangeIdx === -1) {
+            const leftEdge = x < row.startX;
+            rangeIdx = leftEdge === (row.direction === "rtl") ? ranges.length - 1 : 0;
+          }
+          const targetChar = ranges[Math.max(0, rangeIdx)]?.char ?? fallbackChar;
+          targets.push({
+            x: x - mask.width * 0.5,
+            y: mask.height * 0.5 - y,
+            glyph: glyphByChar.get(targetChar) ?? 0,
+          });
+        }
+      }
+    }
+
+    return targets;
+  }
+
+  function buildImageTargets() {
+    const mask = createCanvas(
+      Math.max(1, Math.floor(viewportWidth)),
+      Math.max(1, Math.floor(viewportHeight)),
+    );
+    const context = mask.getContext("2d", { willReadFrequently: true });
+
+    // SVGs without intrinsic dimensions report zero; treat them as square.
+    // Bitmaps decoded in a worker only carry width and height.
+    const sourceWidth = (targetImageElement.naturalWidth ?? targetImageElement.width) || 512;
+    const sourceHeight = (targetImageElement.naturalHeight ?? targetImageElement.height) || 512;
+    const fit = Math.min(
+      (viewportWidth * 0.8) / sourceWidth,
+      (viewportHeight * 0.8) / sourceHeight,
+    );
+    const drawWidth = sourceWidth * fit * activeTargetImage.scale;
+    const drawHeight = sourceHeight * fit * activeTargetImage.scale;
+    const centerX = mask.width * (0.5 + activeTargetImage.x);
+    const centerY = mask.height * (0.5 - activeTargetImage.y);
+    context.clearRect(0, 0, mask.width, mask.height);
+    context.drawImage(
+      targetImageElement,
+      centerX - drawWidth * 0.5,
+      centerY - drawHeight * 0.5,
+      drawWidth,
+      drawHeight,
+    );
+
+    const glyphByChar = new Map(fgGlyphs.map((char, idx) => [char, idx]));
+    const glyphs = activeTargetImage.glyphs.map((char) => glyphByChar.get(char) ?? 0);
+    const sampleStep = Math.max(2, Math.floor(particleStep * 0.38));
+    const data = context.getImageData(0, 0, mask.width, mask.height).data;
+    const targets = [];
+
+    for (let y = 0; y < mask.height; y += sampleStep) {
+      for (let x = 0; x < mask.width; x += sampleStep) {
+        const alpha = data[(y * mask.width + x) * 4 + 3];
+        if (alpha > activeTargetImage.threshold) {
+          // No per-letter ranges here, so scatter the chosen set stably.
+          const pick = Math.floor(hash01(x * 0.731 + y * 1.917) * glyphs.length);
+          targets.push({
+            x: x - mask.width * 0.5,
+            y: mask.height * 0.5 - y,
+            glyph: glyphs[Math.min(glyphs.length - 1, pick)],
+          });
+        }
+      }
+    }
+
+    return targets;
+  }
+
+  function buildActiveTargets() {
+    if (activeTargetImage && targetImageElement) {
+      return buildImageTargets();
+    }
+    return buildForegroundTargets(currentWord);
+  }
+
+  function assignForegroundTargets(preserveSlots) {
+    const nextCount = foregroundTargets.length;
+
+    for (let i = 0; i < foregroundData.count; i += 1) {
+      if (nextCount === 0) {
+        foregroundData.targetX[i] = foregroundData.homeX[i];
+        foregroundData.targetY[i] = foregroundData.homeY[i];
+        foregroundData.targetGlyph[i] = foregroundData.baseGlyph[i];
+        foregroundData.targetSlot[i] = 0;
+        continue;
+      }
+
+      let slot;
+      if (preserveSlots && targetCount > 0) {
+        const oldSlot = foregroundData.targetSlot[i] ?? 0;
+        const ratio = targetCount <= 1 ? 0 : oldSlot / (targetCount - 1);
+        const jitter = (hash01(i * 31.7 + targetCount * 0.17) - 0.5) * 1.8;
+        slot = Math.round(ratio * (nextCount - 1) + jitter);
+        slot = Math.max(0, Math.min(nextCount - 1, slot));
+      } else {
+        slot = (i * 17) % nextCount;
+      }
+
+      const target = foregroundTargets[slot];
+      foregroundData.targetX[i] = target.x;
+      foregroundData.targetY[i] = target.y;
+      foregroundData.targetGlyph[i] = target.glyph;
+      foregroundData.targetSlot[i] = slot;
+    }
+
+    targetCount = nextCount;
+    particleSimulation?.setTargets(
+      foregroundData.targetX,
+      foregroundData.targetY,
+      foregroundData.targetGlyph,
+    );
+    foregroundWorker?.retarget(foregroundData);
+  }
+
+  function buildBackgroundMeshes() {
+    disposeBackgroundLayers();
+    const minEdge = Math.min(viewportWidth, viewportHeight);
+    const isLettersStyle = activeBackgroundMeshStyle === "letters";
+    const backgroundSamplerTexture = getBackgroundSamplerTexture(activeBackgroundMeshStyle);
+    const baseStep = isLettersStyle
+      ? Math.max(8, Math.min(14, Math.round(minEdge / 86)))
+      : Math.max(14, Math.min(22, Math.round(minEdge / 64)));
+    const layerConfigs = isLettersStyle
+      ? [
+          {
+            depth: -560,
+            density: 0.72,
+            parallax: 0.045,
+            alphaMul: 0.34,
+            chaosBias: 0.08,
+            driftScale: 0.6,
+            rotScale: 0.65,
+            sizeScale: 1.18,
+          },
+          {
+            depth: -430,
+            density: 0.9,
+            parallax: 0.08,
+            alphaMul: 0.5,
+            chaosBias: 0.15,
+            driftScale: 0.85,
+            rotScale: 0.9,
+            sizeScale: 1.0,
+          },
+          {
+            depth: -310,
+            density: 1.05,
+            parallax: 0.12,
+            alphaMul: 0.72,
+            chaosBias: 0.24,
+            driftScale: 1.12,
+            rotScale: 1.18,
+            sizeScale: 0.88,
+          },
+        ]
+      : [
+          {
+            depth: -480,
+            density: 0.62,
+            parallax: 0.055,
+            alphaMul: 0.5,
+            chaosBias: 0.12,
+            driftScale: 0.72,
+            rotScale: 0.72,
+            sizeScale: 1.42,
+          },
+          {
+            depth: -340,
+            density: 0.78,
+            parallax: 0.095,
+            alphaMul: 0.74,
+            chaosBias: 0.2,
+            driftScale: 0.98,
+            rotScale: 0.94,
+            sizeScale: 1.18,
+          },
+        ];
+
+    for (let layerIndex = 0; layerIndex < layerConfigs.length; layerIndex += 1) {
+      const config = layerConfigs[layerIndex];
+      const random = createSeededRandom(
+        activeSeed + 0x3c6ef372 + layerIndex * 0x9e3779b9,
+      );
+      const step = Math.max(
+        7,
+        Math.min(18, baseStep / (qualityScale * config.density)),
+      );
+      const columns = Math.ceil((viewportWidth * 1.55) / step) + 12;
+      const rows = Math.ceil((viewportHeight * 1.55) / step) + 12;
+      const count = columns * rows;
+
+      const quad = new THREE.PlaneGeometry(1, 1);
+      const geometry = new THREE.InstancedBufferGeometry();
+      geometry.index = quad.index;
+      geometry.attributes.position = quad.attributes.position;
+      geometry.attributes.uv = quad.attributes.uv;
+      geometry.instanceCount = count;
+
+      const base = new Float32Array(count * 2);
+      const glyph = new Float32Array(count);
+      const tone = new Float32Array(count);
+      const size = new Float32Array(count);
+      const seed = new Float32Array(count);
+
+      let index = 0;
+      for (let row = 0; row < rows; row += 1) {
+        for (let col = 0; col < columns; col += 1) {
+          base[index * 2] = -viewportWidth * 0.78 + col * step;
+          base[index * 2 + 1] = viewportHeight * 0.78 - row * step;
+          glyph[index] = Math.floor(
+            randomBetween(random, 0, glyphSet.background.length),
+          );
+          tone[index] = randomBetween(random, 0.66, 1);
+          size[index] =
+            randomBetween(random, step * 0.64, step * 1.18) * config.sizeScale;
+          seed[index] = randomBetween(random, 0, Math.PI * 2);
+          index += 1;
+        }
+      }
+
+      geometry.setAttribute("aBase", new THREE.InstancedBufferAttribute(base, 2));
+      geometry.setAttribute("aGlyph", new THREE.InstancedBufferAttribute(glyph, 1));
+      geometry.setAttribute("aTone", new THREE.InstancedBufferAttribute(tone, 1));
+      geometry.setAttribute("aSize", new THREE.InstancedBufferAttribute(size, 1));
+      geometry.setAttribute("aSeed", new THREE.InstancedBufferAttribute(seed, 1));
+
+      const uniforms = {
+        uAtlas: { value: backgroundSamplerTexture },
+        uGlyphGrid: { value: getGlyphAtlasGrid(backgroundSamplerTexture) },
+        uTime: { value: 0 },
+        uAlpha: { value: 1 },
+        uSettle: { value: 0 },
+        uChaos: { value: 0 },
+        uLayerDepth: { value: config.depth },
+        uPointer: { value: new THREE.Vector2(0, 0) },
+        uPointerVelocity: { value: new THREE.Vector2(0, 0) },
+        uPointerStrength: { value: 0 },
+        uPointerRadius: { value: 1 },
+        uPointerWarp: { value: 0 },
+        uDrift: { value: new THREE.Vector2(0, 0) },
+        uMode: { value: getInteractionModeIndex(interactionModeRef.current) },
+        uViewport: { value: new THREE.Vector2(viewportWidth, viewportHeight) },
+        uStyle: { value: 0 },
+        uFxAmount: { value: 0.58 },
+        uDotShape: { value: 0 },
+        uDotDensity: { value: 0.58 },
+        uGrainShape: { value: 0 },
+      };
+      const material = webgpu
+        ? webgpu.createBackgroundMaterial(uniforms, getInteractionModes())
+        : new THREE.ShaderMaterial({
+            transparent: true,
+            depthWrite: false,
+            uniforms,
+            vertexShader: `
+              attribute vec2 aBase;
+              attribute float aGlyph;
+              attribute float aTone;
+              attribute float aSize;
+              attribute float aSeed;
+
+              uniform float uTime;
+              uniform float uSettle;
+              uniform float uChaos;
+              uniform float uLayerDepth;
+              uniform vec2 uPointer;
+              uniform vec2 uPointerVelocity;
+              uniform float uPointerStrength;
+              uniform float uPointerRadius;
+              uniform float uPointerWarp;
+              uniform vec2 uDrift;
+              uniform float uMode;
+
+              varying vec2 vUv;
+              varying float vGlyph;
+              varying float vTone;
+              varying float vPulse;
+              varying vec2 vWorld;
+              varying float vSeed;
+
+              void main() {
+                float stream = sin(uTime * (0.24 + uChaos * 0.25) + aSeed * 6.2831) * (4.0 + uChaos * 6.0);
+                vec2 wobble = vec2(
+                  sin(uTime * (0.28 + uChaos * 0.4) + aSeed * 3.3) * (5.0 + 8.0 * uChaos),
+                  cos(uTime * (0.31 + uChaos * 0.5) + aSeed * 4.1) * (4.0 + 7.0 * uChaos)
+                ) * (1.0 - uSettle * 0.45);
+
+                vec2 p = aBase + wobble + vec2(stream, 0.0) + uDrift * (10.0 + 8.0 * uChaos);
+                vec2 ambient = vec2(
+                  sin((p.y + aSeed * 80.0) * 0.014 + uTime * 0.37) + cos((p.x + p.y) * 0.008 - uTime * 0.29),
+                  cos((p.x - aSeed * 95.0) * 0.013 - uTime * 0.34) + sin((p.x - p.y) * 0.007 + uTime * 0.31)
+                );
+                p += normalize(ambient + vec2(0.001, -0.001)) * (2.0 + 4.5 * uChaos) * (1.0 - uSettle * 0.42);
+
+                vec2 delta = p - uPointer;
+                float dist = length(delta) + 0.0001;
+                float radial = clamp(1.0 - dist / uPointerRadius, 0.0, 1.0);
+                float falloff = radial * radial * (3.0 - 2.0 * radial);
+                float influence = falloff * uPointerStrength;
+                vec2 dir = delta / dist;
+                float organic = 0.5 + 0.5 * sin(uTime * 0.41 + aSeed * 9.0);
+                vec2 flow;
+                float pressureScale;
+                float dragScale;
+                float fieldScale;
+
+                ${buildInteractionModeGlsl(getInteractionModes())}
+
+                flow = normalize(flow + vec2(0.0001, 0.0002));
+                float pressure = (0.52 - radial) * uPointerWarp * influence * pressureScale;
+                vec2 drag = uPointerVelocity * influence * dragScale;
+                p += flow * uPointerWarp * influence * fieldScale;
+                p += drag + dir * pressure;
+
+                vUv = uv;
+                vGlyph = aGlyph;
+                vTone = aTone;
+                vPulse = 0.45 + 0.55 * sin(uTime * (0.38 + uChaos * 0.3) + aSeed * 10.0);
+                vWorld = p;
+                vSeed = aSeed;
+
+                vec3 world = vec3(position.xy * aSize + p, uLayerDepth);
+                gl_Position = projectionMatrix * modelViewMatrix * vec4(world, 1.0);
+              }
+            `,
+            fragmentShader: `
+              uniform sampler2D uAtlas;
+              uniform vec2 uGlyphGrid;
+              uniform float uAlpha;
+              uniform vec2 uViewport;
+              uniform float uTime;
+              uniform float uStyle;
+              uniform float uFxAmount;
+              uniform float uDotShape;
+              uniform float uDotDensity;
+              uniform float uGrainShape;
+
+              varying vec2 vUv;
+              varying float vGlyph;
+              varying float vTone;
+              varying float vPulse;
+              varying vec2 vWorld;
+              varying float vSeed;
+
+              float hash(vec2 p) {
+                return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453123);
+              }
+
+              float noise(vec2 p) {
+                vec2 i = floor(p);
+                vec2 f = fract(p);
+                float a = hash(i);
+                float b = hash(i + vec2(1.0, 0.0));
+                float c = hash(i + vec2(0.0, 1.0));
+                float d = hash(i + vec2(1.0, 1.0));
+                vec2 u = f * f * (3.0 - 2.0 * f);
+                return mix(mix(a, b, u.x), mix(c, d, u.x), u.y);
+              }
+
+              float fbm(vec2 p) {
+                float value = 0.0;
+                float amp = 0.5;
+                for (int i = 0; i < 4; i++) {
+                  value += amp * noise(p);
+                  p = p * 2.03 + vec2(17.13, 9.41);
+                  amp *= 0.52;
+                }
+                return value;
+              }
+
+              mat2 rot(float a) {
+                float c = cos(a);
+                float s = sin(a);
+                return mat2(c, -s, s, c);
+              }
+
+              float dotShapeMask(vec2 p, float shape) {
+                vec2 q = p;
+                if (shape < 0.5) {
+                  float d = length(q);
+                  return 1.0 - smoothstep(0.36, 0.42, d);
+                }
+                if (shape < 1.5) {
+                  q = abs(q);
+                  float d = q.x + q.y;
+                  return 1.0 - smoothstep(0.43, 0.5, d);
+                }
+                if (shape < 2.5) {
+                  q = abs(q);
+                  float d = max(q.x, q.y);
+                  return 1.0 - smoothstep(0.36, 0.42, d);
+                }
+                q.y += 0.12;
+                float d = max(abs(q.x) * 1.15 + q.y * 0.9, -q.y);
+                return 1.0 - smoothstep(0.34, 0.42, d);
+              }
+
+              vec2 grainWarp(vec2 uv, float shape, float t, float amt) {
+                vec2 p = uv;
+                if (shape < 0.5) {
+                  vec2 c = abs(p);
+                  p += sign(uv) * pow(c, vec2(1.9)) * (0.26 + amt * 0.45);
+                } else if (shape < 1.5) {
+                  p += vec2(
+                    sin(p.y * (3.5 + amt * 2.0) + t * 0.72),
+                    cos(p.x * (3.2 + amt * 2.2) - t * 0.63)
+                  ) * (0.2 + 0.26 * amt);
+                } else if (shape < 2.5) {
+                  vec2 grid = floor((p + 1.0) * (3.0 + amt * 4.0));
+                  float j = hash(grid + vec2(1.9, -2.4));
+                  p = fract((p + 1.0) * (3.0 + amt * 4.0)) - 0.5;
+                  if (j > 0.5) {
+                    p.x *= -1.0;
+                  }
+                  p = p * rot(t * 0.15 + j * 3.1415);
+                } else if (shape < 3.5) {
+                  vec2 d = p;
+                  float l = length(d) + 0.0001;
+                  p += normalize(d) * (0.24 + 0.38 * amt) * exp(-l * 2.6) * sin(t * 0.7 + l * 9.0);
+                } else if (shape < 4.5) {
+                  float r = length(p);
+                  p += vec2(
+                    sin(r * (10.0 + amt * 14.0) - t * 0.62),
+                    cos(r * (8.4 + amt * 12.0) + t * 0.55)
+                  ) * (0.1 + 0.2 * amt);
+                } else if (shape < 5.5) {
+                  vec2 d = p;
+                  float l = length(d) + 0.0001;
+                  p += normalize(d) * (0.18 + 0.38 * amt) * exp(-l * 1.9);
+                } else {
+                  float r = length(p);
+                  p = normalize(p + vec2(0.0001, -0.0001)) * pow(r, 1.2 + amt * 0.65);
+                }
+                return p;
+              }
+
+              float dotGridField(vec2 world) {
+                float cellSize = mix(22.0, 8.0, uDotDensity);
+                vec2 grid = world / max(2.0, cellSize);
+                vec2 cell = floor(grid);
+                vec2 local = fract(grid) - 0.5;
+                float jitter = hash(cell + vec2(vSeed * 19.3, -vSeed * 11.7));
+                local += vec2(
+                  sin(uTime * 0.32 + jitter * 6.2831),
+                  cos(uTime * 0.27 + jitter * 5.17)
+                ) * (0.05 + 0.11 * uFxAmount);
+                float dotMask = dotShapeMask(local * 2.0, uDotShape);
+                float pulse = 0.82 + 0.18 * sin(uTime * 0.54 + jitter * 6.2831 + vSeed * 7.0);
+                return dotMask * pulse;
+              }
+
+              float grainField(vec2 world) {
+                vec2 scale = max(uViewport, vec2(1.0));
+                vec2 uv = world / scale;
+                uv *= 2.7;
+                vec2 warped = grainWarp(uv, uGrainShape, uTime * 0.4, uFxAmount);
+                float nA = noise(warped * (4.4 + uFxAmount * 2.2) + vec2(uTime * 0.05, -uTime * 0.03));
+                float nB = noise(warped * (8.1 + uFxAmount * 3.1) - vec2(uTime * 0.08, uTime * 0.06));
+                float ridge = abs(sin((nA * 1.25 + nB * 0.92 + uv.x * 0.64 - uv.y * 0.48) * 6.2831));
+                return clamp(0.18 + nA * 0.52 + nB * 0.23 + ridge * 0.36, 0.0, 1.0);
+              }
+
+              ${GLYPH_ATLAS_GLSL}
+
+              void main() {
+                if (uStyle < 0.5) {
+                  vec2 uv = glyphAtlasUv(vUv, vGlyph, uGlyphGrid);
+                  vec4 texel = texture2D(uAtlas, uv);
+                  float alpha =
+                    texel.a * (0.12 + 0.2 * vPulse) * uAlpha * (0.3 + 0.7 * uFxAmount);
+                  if (alpha < 0.004) discard;
+                  float luminance = clamp(0.74 + 0.2 * vTone + vPulse * 0.1, 0.0, 1.0);
+                  gl_FragColor = vec4(vec3(luminance), min(alpha, 1.0));
+                  return;
+                }
+
+                if (uStyle < 1.5) {
+                  float dotField = dotGridField(vWorld);
+                  float dotCellMask = dotShapeMask((vUv - 0.5) * 2.0, uDotShape);
+                  float alpha = dotCellMask * dotField * uAlpha * (0.08 + 0.92 * uFxAmount);
+                  if (alpha < 0.004) discard;
+                  float luminance = clamp(0.8 + dotField * 0.22, 0.0, 1.0);
+                  gl_FragColor = vec4(vec3(luminance), min(alpha, 1.0));
+                  return;
+                }
+
+                float grain = grainField(vWorld);
+                float edge =
+                  smoothstep(0.0, 0.16, vUv.x) *
+                  (1.0 - smoothstep(0.84, 1.0, vUv.x)) *
+                  smoothstep(0.0, 0.16, vUv.y) *
+                  (1.0 - smoothstep(0.84, 1.0, vUv.y));
+                float alpha = grain * edge * uAlpha * (0.06 + 0.9 * uFxAmount);
+                if (alpha < 0.004) discard;
+                float luminance = clamp(0.68 + grain * 0.32, 0.0, 1.0);
+                gl_FragColor = vec4(vec3(luminance), min(alpha, 1.0));
+              }
+            `,
+          });
+
+      const mesh = new THREE.Mesh(geometry, material);
+      scene.add(mesh);
+      backgroundLayers.push({
+        mesh,
+        material,
+        parallax: config.parallax,
+        alphaMul: config.alphaMul,
+        chaosBias: config.chaosBias,
+        driftScale: config.driftScale,
+        rotScale: config.rotScale,
+      });
+    }
+  }
+
+  function syncForegroundGlyphs() {
+    const texts = [currentWord];
+    if (activeTargetImage) {
+      texts.push(activeTargetImage.glyphs.join(""));
+    }
+    if (playlist) {
+      for (const entry of playlist.words) texts.push(entry.word);
+    }
+    const nextGlyphs = collectForegroundGlyphs(texts, fgGlyphs);
+    if (nextGlyphs.length === fgGlyphs.length) return false;
+    // Append so indices already assigned to particles stay valid; start over
+    // from the filler set once a long session has grown the atlas too far.
+    fgGlyphs =
+      nextGlyphs.length > FOREGROUND_GLYPH_LIMIT
+        ? collectForegroundGlyphs(texts, glyphSet.foreground)
+        : nextGlyphs;
+    return true;
+  }
+
+  function refreshForegroundAtlases() {
+    // Dense CJK strokes need more texels per cell to stay legible.
+    const cell = fgGlyphs.some((glyph) => CJK_PATTERN.test(glyph))
+      ? GLYPH_ATLAS_CJK_CELL
+      : GLYPH_ATLAS_CELL;
+    const fontSize = (95 * cell) / GLYPH_ATLAS_CELL;
+    const axesKey = formatFontAxes(activeFontAxes);
+    const nextForegroundAtlasKey = `${fgGlyphs.join("")}|${activeFontSet.line}|${cell}|${axesKey}`;
+    if (!foregroundAtlas || foregroundAtlasKey !== nextForegroundAtlasKey) {
+      if (foregroundAtlas) {
+        releaseGlyphAtlas(foregroundAtlasKey);
+      }
+      foregroundAtlas = acquireGlyphAtlas(nextForegroundAtlasKey, () =>
+        makeGlyphAtlas(fgGlyphs, activeFontSet.line, fontSize, cell, activeFontAxes),
+      );
+      foregroundAtlasKey = nextForegroundAtlasKey;
+    }
+
+    const nextForegroundSolidAtlasKey = `${fgGlyphs.join("")}|${activeFontSet.solid}|${cell}|${axesKey}`;
+    if (!foregroundSolidAtlas || foregroundSolidAtlasKey !== nextForegroundSolidAtlasKey) {
+      if (foregroundSolidAtlas) {
+        releaseGlyphAtlas(foregroundSolidAtlasKey);
+      }
+      foregroundSolidAtlas = acquireGlyphAtlas(nextForegroundSolidAtlasKey, () =>
+        makeGlyphAtlas(fgGlyphs, activeFontSet.solid, fontSize, cell, activeFontAxes),
+      );
+      foregroundSolidAtlasKey = nextForegroundSolidAtlasKey;
+    }
+
+    if (foregroundMaterial) {
+      foregroundMaterial.uniforms.uAtlasLine.value = foregroundAtlas;
+      foregroundMaterial.uniforms.uAtlasSolid.value = foregroundSolidAtlas;
+      foregroundMaterial.uniforms.uGlyphGrid.value = getGlyphAtlasGrid(foregroundAtlas);
+    }
+  }
+
+  function buildForegroundMesh() {
+    disposeForeground();
+    syncForegroundGlyphs();
+    refreshForegroundAtlases();
+
+    const baseStep = Math.max(
+      14,
+      Math.min(23, Math.round(Math.min(viewportWidth, viewportHeight) / 43)),
+    );
+    foregroundStep = Math.max(14, Math.min(34, baseStep / qualityScale));
+    simulationFallback = getSimulationFallback(getInteractionMode(interactionModeRef.current));
+    const useGpu =
+      activeSimulation.backend === "gpu" && gpuParticlesSupported && simulationFallback === null;
+    particleStep = foregroundStep / Math.sqrt(useGpu ? activeSimulation.density : 1);
+    const foregroundSize = Math.max(4, Math.floor(particleStep * 0.88));
+
+    const columns = Math.ceil(viewportWidth / particleStep);
+    const rows = Math.ceil(viewportHeight / particleStep);
+    const count = columns * rows;
+
+    Object.assign(foregroundData, createForegroundData(count));
+
+    const quad = new THREE.PlaneGeometry(1, 1);
+    const geometry = new THREE.InstancedBufferGeometry();
+    geometry.index = quad.index;
+    geometry.attributes.position = quad.attributes.position;
+    geometry.attributes.uv = quad.attributes.uv;
+    geometry.instanceCount = count;
+
+    const offsets = new Float32Array(count * 2);
+    const glyph = new Float32Array(count);
+    const tone = new Float32Array(count);
+    const size = new Float32Array(count);
+    const depth = new Float32Array(count);
+    const tintWhite = new Float32Array(count * 3);
+    const tintColor = new Float32Array(count * 3);
+    const colorScratch = new THREE.Color();
+    const random = createSeededRandom(activeSeed);
+
+    let index = 0;
+    for (let row = 0; row < rows; row += 1) {
+      for (let col = 0; col < columns; col += 1) {
+        const x = -viewportWidth * 0.5 + col * particleStep + particleStep * 0.5;
+        const y = viewportHeight * 0.5 - row * particleStep - particleStep * 0.5;
+
+        foregroundData.homeX[index] = x;
+        foregroundData.homeY[index] = y;
+        foregroundData.posX[index] =
+          x + randomBetween(random, -particleStep * 0.25, particleStep * 0.25);
+        foregroundData.posY[index] =
+          y + randomBetween(random, -particleStep * 0.25, particleStep * 0.25);
+        foregroundData.velX[index] = randomBetween(random, -0.45, 0.45);
+        foregroundData.velY[index] = randomBetween(random, -0.45, 0.45);
+        foregroundData.seed[index] = randomBetween(random, 0, Math.PI * 2);
+
+        offsets[index * 2] = foregroundData.posX[index];
+        offsets[index * 2 + 1] = foregroundData.posY[index];
+
+        glyph[index] = Math.floor(randomBetween(random, 0, glyphSet.foreground.length));
+        foregroundData.baseGlyph[index] = glyph[index];
+
+        tone[index] = randomBetween(random, 0.72, 1);
+        size[index] = foregroundSize;
+        depth[index] = randomBetween(random, -180, 180);
+
+        const whiteBase = randomBetween(random, 0.8, 1);
+        const warmth = randomBetween(random, -1, 1);
+        tintWhite[index * 3] = clamp01(whiteBase * (1 + warmth * 0.06));
+        tintWhite[index * 3 + 1] = clamp01(whiteBase * (1 + warmth * 0.015));
+        tintWhite[index * 3 + 2] = clamp01(whiteBase * (1 - warmth * 0.05));
+
+        colorScratch.setHSL(
+          (index * 0.017 + foregroundData.seed[index] * 0.11) % 1,
+          randomBetween(random, 0.56, 0.9),
+          randomBetween(random, 0.58, 0.84),
+        );
+        tintColor[index * 3] = colorScratch.r;
+        tintColor[index * 3 + 1] = colorScratch.g;
+        tintColor[index * 3 + 2] = colorScratch.b;
+
+        index += 1;
+      }
+    }
+
+    if (
+      activeSimulation.backend === "worker" &&
+      !foregroundWorkerFailed &&
+      simulationFallback === null
+    ) {
+      startForegroundWorker();
+    } else {
+      stopForegroundWorker();
+    }
+    foregroundWorker?.resize(foregroundData);
+    if (useGpu) {
+      particleSimulation = createParticleSimulation(
+        renderer,
+        foregroundData,
+        buildInteractionModeGlsl(getInteractionModes(), "particleGlsl"),
+      );
+    }
+
+    foregroundTargets = buildActiveTargets();
+    targetCount = 0;
+    assignForegroundTargets(false);
+
+    foregroundDepthAttribute = new THREE.InstancedBufferAttribute(depth, 1);
+    foregroundDepthAttribute.setUsage(THREE.DynamicDrawUsage);
+    geometry.setAttribute("aDepth", foregroundDepthAttribute);
+    // The GPU path reads positions and glyphs from the simulation textures,
+    // so only the CPU path uploads them as per-frame attributes.
+    if (particleSimulation) {
+      geometry.setAttribute(
+        "aParticle",
+        new THREE.InstancedBufferAttribute(getParticleUvs(particleSimulation), 2),
+      );
+    } else {
+      foregroundOffsetAttribute = new THREE.InstancedBufferAttribute(offsets, 2);
+      foregroundOffsetAttribute.setUsage(THREE.DynamicDrawUsage);
+      foregroundGlyphAttribute = new THREE.InstancedBufferAttribute(glyph, 1);
+      foregroundGlyphAttribute.setUsage(THREE.DynamicDrawUsage);
+      geometry.setAttribute("aOffset", foregroundOffsetAttribute);
+      geometry.setAttribute("aGlyph", foregroundGlyphAttribute);
+    }
+    geometry.setAttribute("aTone", new THREE.InstancedBufferAttribute(tone, 1));
+    geometry.setAttribute("aSize", new THREE.InstancedBufferAttribute(size, 1));
+    geometry.setAttribute(
+      "aTintWhite",
+      new THREE.InstancedBufferAttribute(tintWhite, 3),
+    );
+    geometry.setAttribute(
+      "aTintColor",
+      new THREE.InstancedBufferAttribute(tintColor, 3),
+    );
+
+    const uniforms = {
+      uParticleState: { value: particleSimulation?.stateTexture ?? null },
+      uParticleHome: { value: particleSimulation?.homeTexture ?? null },
+      uParticleTarget: { value: particleSimulation?.targetTexture ?? null },
+      uConverge: { value: 0 },
+      uRetargetBlend: { value: 1 },
+      uAtlasLine: { value: foregroundAtlas },
+      uAtlasSolid: { value: foregroundSolidAtlas },
+      uGlyphGrid: { value: getGlyphAtlasGrid(foregroundAtlas) },
+      uAlpha: { value: 1 },
+      uSettle: { value: 0 },
+      uTime: { value: 0 },
+      uDepthAmp: { value: 0 },
+      uSolidify: { value: 0 },
+      uColorMode: { value: colorModeRef.current },
+    };
+    foregroundMaterial = webgpu
+      ? webgpu.createForegroundMaterial(uniforms)
+      : new THREE.ShaderMaterial({
+          transparent: true,
+          depthWrite: false,
+          defines: particleSimulation ? { GPU_PARTICLES: "" } : {},
+          uniforms,
+          vertexShader: `
+            #ifdef GPU_PARTICLES
+              attribute vec2 aParticle;
+              uniform sampler2D uParticleState;
+              uniform sampler2D uParticleHome;
+              uniform sampler2D uParticleTarget;
+              uniform float uConverge;
+              uniform float uRetargetBlend;
+
+              ${PARTICLE_CONVERGE_GLSL}
+            #else
+              attribute vec2 aOffset;
+              attribute float aGlyph;
+            #endif
+            attribute float aTone;
+            attribute float aSize;
+            attribute float aDepth;
+            attribute vec3 aTintWhite;
+            attribute vec3 aTintColor;
+
+            uniform float uSettle;
+            uniform float uTime;
+            uniform float uDepthAmp;
+            uniform float uSolidify;
+
+            varying vec2 vUv;
+            varying float vGlyph;
+            varying float vTone;
+            varying vec3 vTintWhite;
+            varying vec3 vTintColor;
+
+            void main() {
+              #ifdef GPU_PARTICLES
+                vec2 offset = texture2D(uParticleState, aParticle).xy;
+                vec4 home = texture2D(uParticleHome, aParticle);
+                vec4 goal = texture2D(uParticleTarget, aParticle);
+                float glyph = particleGlyph(home.z, home.w, goal.z, uConverge, uRetargetBlend);
+              #else
+                vec2 offset = aOffset;
+                float glyph = aGlyph;
+              #endif
+
+              vUv = uv;
+              vGlyph = glyph;
+              vTone = aTone;
+              vTintWhite = aTintWhite;
+              vTintColor = aTintColor;
+
+              float zNoise = sin(uTime * 1.3 + aDepth * 0.03 + glyph * 2.1) * uDepthAmp;
+              float z = aDepth * (1.0 - uSettle) + zNoise;
+              float size = aSize * (1.0 + uSolidify * 0.06);
+              vec3 p = vec3(position.xy * size + offset, z);
+              gl_Position = projectionMatrix * modelViewMatrix * vec4(p, 1.0);
+            }
+          `,
+          fragmentShader: `
+            uniform sampler2D uAtlasLine;
+            uniform sampler2D uAtlasSolid;
+            uniform vec2 uGlyphGrid;
+            uniform float uAlpha;
+            uniform float uSolidify;
+            uniform float uColorMode;
+
+            varying vec2 vUv;
+            varying float vGlyph;
+            varying float vTone;
+            varying vec3 vTintWhite;
+            varying vec3 vTintColor;
+
+            ${GLYPH_ATLAS_GLSL}
+
+            void main() {
+              vec2 uv = glyphAtlasUv(vUv, vGlyph, uGlyphGrid);
+              float lineInk = texture2D(uAtlasLine, uv).a;
+              float solidInk = texture2D(uAtlasSolid, uv).a;
+              float ink = mix(lineInk, solidInk, uSolidify);
+              float alpha = ink * uAlpha;
+              if (alpha < 0.01) discard;
+
+              vec3 whiteShade = mix(vTintWhite, vec3(1.0), uSolidify * 0.48);
+              vec3 vividShade = mix(vTintColor, vec3(1.0), uSolidify * 0.18);
+              vec3 toneLift = vec3(0.88 + vTone * 0.18);
+              vec3 color = clamp(
+                mix(whiteShade, vividShade, clamp(uColorMode, 0.0, 1.0)) * toneLift,
+                0.0,
+                1.0
+              );
+
+              gl_FragColor = vec4(color, alpha);
+            }
+          `,
+        });
+
+    foregroundMesh = new THREE.Mesh(geometry, foregroundMaterial);
+    foregroundMesh.position.set(0, 0, 10);
+    scene.add(foregroundMesh);
+  }
+
+  function startForegroundWorker() {
+    if (foregroundWorker) return;
+    try {
+      foregroundWorker = createForegroundWorker({
+        onFrame: applyForegroundWorkerFrame,
+        onError: onForegroundWorkerError,
+      });
+    } catch {
+      foregroundWorkerFailed = true;
+    }
+  }
+
+  function stopForegroundWorker() {
+    foregroundWorker?.dispose();
+    foregroundWorker = null;
+    foregroundWorkerLag = 0;
+  }
+
+  function applyForegroundWorkerFrame(offsets, glyphs) {
+    if (disposed || !foregroundOffsetAttribute) return;
+    foregroundOffsetAttribute.array.set(offsets);
+    foregroundGlyphAttribute.array.set(glyphs);
+    foregroundOffsetAttribute.needsUpdate = true;
+    foregroundGlyphAttribute.needsUpdate = true;
+  }
+
+  // A worker that fails to load or throws hands the grid back to the main
+  // thread for the rest of the session.
+  function onForegroundWorkerError() {
+    if (disposed) return;
+    foregroundWorkerFailed = true;
+    stopForegroundWorker();
+    buildForegroundMesh();
+  }
+
+  function getSimulationBackend() {
+    if (particleSimulation) return "gpu";
+    return foregroundWorker ? "worker" : "cpu";
+  }
+
+  function getRendererHudLabel() {
+    if (webgpu) return "WEBGPU · ";
+    return rendererFallback ? "WEBGL (MODE HAS NO WEBGPU NODE) · " : "";
+  }
+
+  function getSimulationHudLabel(mode) {
+    const backend = getSimulationBackend().toUpperCase();
+    if (!simulationFallback) return backend;
+    return `${backend} (${mode.id.toUpperCase()} NOT ON ${simulationFallback.toUpperCase()})`;
+  }
+
+  // Page-registered modes only run where they brought code: the GPU step
+  // needs particleGlsl and the worker has only the built-in modes. Anything
+  // else steps on the main thread while the mode is active.
+  function getSimulationFallback(mode) {
+    if (activeSimulation.backend === "gpu" && gpuParticlesSupported && !mode.particleGlsl) {
+      return "gpu";
+    }
+    if (
+      activeSimulation.backend === "worker" &&
+      !foregroundWorkerFailed &&
+      !isBuiltInInteractionMode(mode.id)
+    ) {
+      return "worker";
+    }
+    return null;
+  }
+
+  function rebuildScene() {
+    fitCamera();
+    buildBackgroundMeshes();
+    buildForegroundMesh();
+  }
+
+  function applyRenderScale() {
+    const pixelRatio = getRenderPixelRatio();
+    if (outputContext) {
+      outputWidth = Math.round(viewportWidth * pixelRatio);
+      outputHeight = Math.round(viewportHeight * pixelRatio);
+      canvas.width = outputWidth;
+      canvas.height = outputHeight;
+      ensureSharedRendererSize(outputWidth, outputHeight);
+    } else {
+      renderer.setPixelRatio(pixelRatio);
+      renderer.setSize(viewportWidth, viewportHeight, false);
+    }
+
+    if (composer && bloomPass) {
+      composer.setPixelRatio(pixelRatio);
+      composer.setSize(viewportWidth, viewportHeight);
+      bloomPass.setSize(viewportWidth, viewportHeight);
+    }
+  }
+
+  function createOffscreenCapture(options) {
+    if (webgpu) {
+      return createWebGPUCapture(options);
+    }
+    const maxEdge = Math.min(SNAPSHOT_MAX_EDGE, renderer.capabilities.maxTextureSize);
+    const { width, height } = resolveSnapshotSize(
+      options,
+      viewportWidth,
+      viewportHeight,
+      maxEdge,
+    );
+    const pixels = new Uint8Array(width * height * 4);
+    const target = new THREE.WebGLRenderTarget(width, height, {
+      type: THREE.UnsignedByteType,
+    });
+
+    // A throwaway composer shares the live passes but owns 8-bit buffers at
+    // the requested size, so the on-screen canvas is never resized.
+    let captureComposer = null;
+    if (composer && postprocessing) {
+      captureComposer = new postprocessing.EffectComposer(renderer, target);
+      captureComposer.setPixelRatio(1);
+      captureComposer.renderToScreen = false;
+      for (const pass of [renderPass, bloomPass, paperPass, filmPass]) {
+        captureComposer.addPass(pass);
+      }
+    }
+
+    function capture() {
+      const previousAspect = camera.aspect;
+      camera.aspect = width / height;
+      camera.updateProjectionMatrix();
+      try {
+        if (captureComposer) {
+          // Passes are shared, so re-assert our size in case a resize
+          // reached the live composer since the last capture.
+          captureComposer.setSize(width, height);
+          captureComposer.render();
+          renderer.readRenderTargetPixels(
+            captureComposer.readBuffer,
+            0,
+            0,
+            width,
+            height,
+            pixels,
+          );
+        } else {
+          renderer.setRenderTarget(target);
+          renderer.render(scene, camera);
+          renderer.readRenderTargetPixels(target, 0, 0, width, height, pixels);
+          renderer.setRenderTarget(null);
+        }
+      } finally {
+        camera.aspect = previousAspect;
+        camera.updateProjectionMatrix();
+      }
+      return pixels;
+    }
+
+    function dispose() {
+      if (captureComposer) {
+        captureComposer.dispose();
+      } else {
+        target.dispose();
+      }
+      if (!disposed) {
+        applyRenderScale();
+      }
+    }
+
+    return { width, height, capture, dispose };
+  }
+
+  // The node chain renders at the capture size into its own targets, so the
+  // on-screen canvas is never resized. The readback is asynchronous, so
+  // capture() returns a promise here.
+  function createWebGPUCapture(options) {
+    const maxEdge = Math.min(SNAPSHOT_MAX_EDGE, webgpu.getMaxTextureSize(renderer));
+    const { width, height } = resolveSnapshotSize(
+      options,
+      viewportWidth,
+      viewportHeight,
+      maxEdge,
+    );
+    const target = new THREE.RenderTarget(width, height, {
+      type: THREE.UnsignedByteType,
+    });
+    const captureChain = nodePostProcessing?.createCapture(width, height) ?? null;
+
+    function capture() {
+      const previousAspect = camera.aspect;
+      camera.aspect = width / height;
+      camera.updateProjectionMatrix();
+      try {
+        if (captureChain) {
+          captureChain.render(target);
+        } else {
+          renderer.setRenderTarget(target);
+          renderer.render(scene, camera);
+          renderer.setRenderTarget(null);
+        }
+        return webgpu.readRenderTargetPixels(renderer, target, width, height);
+      } finally {
+        camera.aspect = previousAspect;
+        camera.updateProjectionMatrix();
+      }
+    }
+
+    function dispose() {
+      captureChain?.dispose();
+      target.dispose();
+    }
+
+    return { width, height, capture, dispose };
+  }
+
+  async function captureSnapshot(options) {
+    if (disposed) {
+      throw new Error("Snapshot requested after unmount.");
+    }
+
+    const offscreen = createOffscreenCapture(options);
+    let pixels;
+    try {
+      pixels = await offscreen.capture();
+    } finally {
+      offscreen.dispose();
+    }
+
+    const blob = await encodePixelsToPng(pixels, offscreen.width, offscreen.height);
+    return {
+      blob,
+      width: offscreen.width,
+      height: offscreen.height,
+      word: currentWord,
+    };
+  }
+
+  async function exportFrameSequence(options) {
+    if (disposed) {
+      throw new Error("Frame export requested after unmount.");
+    }
+    if (recording || frameExportActive) {
+      throw new Error("Another export is already in progress.");
+    }
+
+    const settings = normalizeSequenceOptions(options);
+    const step = 1 / settings.fps;
+    const timelineSpeed = getTimelineSpeed(motionRef.current.settle);
+    const totalFrames = Math.ceil(
+      (timeline.solidEnd / timelineSpeed + settings.tailSeconds) * settings.fps,
+    );
+    const digits = Math.max(5, String(totalFrames).length);
+    const prefix = `${slugifyWord(currentWord, "frame")}_`;
+
+    // The sequence drives updateScene itself, so park the rAF loop until done.
+    frameExportActive = true;
+    cancelFrame(animationFrame);
+    animationFrame = 0;
+    const offscreen = createOffscreenCapture(options);
+    const zip = createZipWriter();
+
+    try {
+      restartTimeline();
+      for (let frame = 0; frame < totalFrames; frame += 1) {
+        if (disposed || settings.signal?.aborted) {
+          throw new Error("Frame export cancelled.");
+        }
+        elapsedTime = frame * step;
+        if (frame > 0) {
+          advanceTimeline(step, "once");
+        }
+        // Worker steps are awaited so every exported frame is fully simulated.
+        await foregroundWorker?.whenIdle();
+        updateScene(step, elapsedTime);
+        await foregroundWorker?.whenIdle();
+        const blob = await encodePixelsToPng(
+          await offscreen.capture(),
+          offscreen.width,
+          offscreen.height,
+        );
+        await zip.addFile(`${prefix}${String(frame).padStart(digits, "0")}.png`, blob);
+        settings.onProgress?.(frame + 1, totalFrames);
+      }
+    } finally {
+      offscreen.dispose();
+      frameExportActive = false;
+      if (!disposed) {
+        clock.getDelta();
+        animationFrame = requestFrame(animate);
+      }
+    }
+
+    return {
+      blob: zip.finish(),
+      frames: totalFrames,
+      fps: settings.fps,
+      width: offscreen.width,
+      height: offscreen.height,
+      word: currentWord,
+    };
+  }
+
+  function setTimelinePlaying(playing) {
+    timelinePlaying = playing;
+    setTransportPlaying(playing);
+  }
+
+  function advanceTimeline(delta, loopMode) {
+    if (!timelinePlaying || timelineScrubbing) return;
+
+    const end = timeline.solidEnd + TIMELINE_SOLID_FADE;
+    timelinePosition +=
+      delta * getTimelineSpeed(motionRef.current.settle) * timelineDirection;
+
+    if (loopMode === "loop") {
+      if (timelinePosition > end + TIMELINE_LOOP_HOLD) {
+        timelinePosition = 0;
+      }
+    } else if (loopMode === "pingpong") {
+      if (timelinePosition > end + TIMELINE_LOOP_HOLD) {
+        timelinePosition = end + TIMELINE_LOOP_HOLD;
+        timelineDirection = -1;
+      } else if (timelinePosition < 0) {
+        timelinePosition = 0;
+        timelineDirection = 1;
+      }
+    } else {
+      timelineDirection = 1;
+      timelinePosition = Math.max(0, Math.min(end, timelinePosition));
+    }
+
+    advancePlaylist(delta);
+  }
+
+  function seekTimeline(position) {
+    const next = Number(position);
+    if (!Number.isFinite(next)) return;
+    timelinePosition = Math.max(0, Math.min(timeline.solidEnd, next));
+    timelineDirection = 1;
+  }
+
+  function beginTimelineScrub() {
+    timelineScrubbing = true;
+  }
+
+  function endTimelineScrub() {
+    timelineScrubbing = false;
+  }
+
+  function resumeTimeline() {
+    if (timelinePlaying) return;
+    const end = timeline.solidEnd + TIMELINE_SOLID_FADE;
+    if (transportLoopRef.current === "once" && timelinePosition >= end) {
+      timelinePosition = 0;
+    }
+    setTimelinePlaying(true);
+  }
+
+  function pauseTimeline() {
+    if (timelinePlaying) setTimelinePlaying(false);
+  }
+
+  function toggleTimelinePlaying() {
+    if (timelinePlaying) {
+      pauseTimeline();
+    } else {
+      resumeTimeline();
+    }
+  }
+
+  function syncScrubber() {
+    if (timelineScrubbing) return;
+    const value = Math.min(timeline.solidEnd, timelinePosition);
+    if (Math.abs(value - scrubberValue) < 0.005) return;
+    scrubberValue = value;
+    setScrubberValue(value.toFixed(2));
+  }
+
+  function applyTimeline(nextTimeline) {
+    const normalized = normalizeTimeline(nextTimeline);
+    if (areTimelinesEqual(normalized, timeline)) return;
+    // Keep the sequence at the same relative point when phases stretch.
+    timelinePosition *= normalized.solidEnd / timeline.solidEnd;
+    timeline = normalized;
+    scrubberValue = -1;
+  }
+
+  function restartTimeline() {
+    elapsedTime = 0;
+    timelinePosition = 0;
+    timelineDirection = 1;
+    timelineScrubbing = false;
+    setTimelinePlaying(true);
+    qualityEvalAt = 2;
+    hudUpdateAt = 0;
+    retargetMorph = 1;
+    retargetExcite = 0;
+    ambientDriftX = 0;
+    ambientDriftY = 0;
+    if (playlist) {
+      resetPlaylist();
+      currentWord = getPlaylistWord();
+    }
+    if (foregroundData.count > 0) {
+      buildForegroundMesh();
+    }
+  }
+
+  function startRecording(options) {
+    if (disposed) {
+      return Promise.reject(new Error("Recording requested after unmount."));
+    }
+    if (recording || frameExportActive) {
+      return Promise.reject(new Error("Another export is already in progress."));
+    }
+
+    const settings = normalizeRecordingOptions(options);
+    const mimeType = pickRecordingMimeType(settings.format);
+    if (!mimeType || typeof canvas.captureStream !== "function") {
+      return Promise.reject(new Error("Video recording is not supported in this browser."));
+    }
+
+    // Prefer manual frame capture so every fixed step lands in the video
+    // exactly once; fall back to a timed stream where requestFrame is missing.
+    let stream = canvas.captureStream(0);
+    let [track] = stream.getVideoTracks();
+    const manualFrames = typeof track?.requestFrame === "function";
+    if (!manualFrames) {
+      stream.getTracks().forEach((item) => item.stop());
+      stream = canvas.captureStream(settings.fps);
+      [track] = stream.getVideoTracks();
+    }
+
+    const recorder = new MediaRecorder(stream, {
+      mimeType,
+      videoBitsPerSecond: settings.bitrate,
+    });
+    const chunks = [];
+    const session = {
+      recorder,
+      track,
+      manualFrames,
+      fps: settings.fps,
+      step: 1 / settings.fps,
+      nextFrameAt: 0,
+      frames: 0,
+      maxFrames: Math.round(settings.maxSeconds * settings.fps),
+      stopAtSolid: settings.stopAtSolid,
+    };
+
+    return new Promise((resolve, reject) => {
+      recorder.addEventListener("dataavailable", (event) => {
+        if (event.data.size > 0) {
+          chunks.push(event.data);
+        }
+      });
+      recorder.addEventListener("stop", () => {
+        stream.getTracks().forEach((item) => item.stop());
+        resolve({
+          blob: new Blob(chunks, { type: mimeType }),
+          mimeType,
+          width: canvas.width,
+          height: canvas.height,
+          frames: session.frames,
+          duration: session.frames / session.fps,
+          word: currentWord,
+        });
+      });
+      recorder.addEventListener("error", (event) => {
+        stream.getTracks().forEach((item) => item.stop());
+        if (recording === session) {
+          recording = null;
+        }
+        reject(event.error ?? new Error("Recording failed."));
+      });
+
+      if (settings.restart) {
+        restartTimeline();
+      }
+      recording = session;
+      recorder.start(1000);
+    });
+  }
+
+  function stopRecording() {
+    if (!recording) return;
+    const { recorder } = recording;
+    recording = null;
+    if (recorder.state !== "inactive") {
+      recorder.stop();
+    }
+  }
+
+  function onResize() {
+    // The drawing buffer follows the container exactly, so small cards keep
+    // their aspect; grid steps have their own minimums.
+    viewportWidth = Math.max(1, containerWidth);
+    viewportHeight = Math.max(1, containerHeight);
+    applyRenderScale();
+    rebuildScene();
+  }
+
+  function retargetWord(nextWord, duration = 0) {
+    const normalized = normalizeWord(nextWord);
+    if (!normalized || normalized === currentWord || foregroundData.count === 0) {
+      return;
+    }
+
+    currentWord = normalized;
+    retargetRate = duration > 0 ? 1 / duration : 0;
+    retargetForeground(true);
+  }
+
+  function setWord(nextWord, options = {}) {
+    const duration = Number(options.duration);
+    retargetWord(nextWord, Number.isFinite(duration) ? Math.max(0.05, duration) : 0);
+  }
+
+  // A synthetic pointer burst at a point given as 0-1 fractions of the hero
+  // box; it fades out like a real pointer that has stopped moving.
+  function pulse(x = 0.5, y = 0.5, strength = 1) {
+    const amount = Math.max(0, Math.min(1.5, Number(strength) || 0));
+    const nextX = (clamp01(Number(x) || 0) - 0.5) * 2;
+    const nextY = (clamp01(Number(y) || 0) - 0.5) * 2;
+    pointerTargetX = nextX;
+    pointerTargetY = nextY;
+    pointerX = nextX;
+    pointerY = nextY;
+    pointerStrength = Math.max(pointerStrength, Math.min(1, amount));
+    pointerEnergy = Math.max(pointerEnergy, amount);
+    retargetExcite = Math.max(retargetExcite, Math.min(1, amount));
+  }
+
+  function getStats() {
+    return {
+      fps: fpsEma,
+      quality: qualityScale,
+      particles: foregroundData.count,
+      simulation: getSimulationBackend(),
+      simulationFallback,
+      renderer: webgpu ? "webgpu" : "webgl",
+      rendererFallback,
+      targets: targetCount,
+      word: currentWord,
+      position: timelinePosition,
+      phase: getTimelinePhase(timeline, timelinePosition),
+      playing: timelinePlaying,
+      width: viewportWidth,
+      height: viewportHeight,
+    };
+  }
+
+  function retargetForeground(targetChanged = false) {
+    if (syncForegroundGlyphs()) {
+      refreshForegroundAtlases();
+    }
+    foregroundTargets = buildActiveTargets();
+    assignForegroundTargets(true);
+    retargetMorph = 0;
+    retargetExcite = 1;
+    if (targetChanged) retargetPending = true;
+  }
+
+  function applyTargetImage(nextImage) {
+    const previous = activeTargetImage;
+    activeTargetImage = nextImage;
+
+    if (!nextImage) {
+      targetImageRequest += 1;
+      const wasShowingImage = Boolean(targetImageElement);
+      targetImageElement = null;
+      if (wasShowingImage && foregroundData.count > 0) {
+        retargetForeground(true);
+      }
+      return;
+    }
+
+    if (previous && previous.src === nextImage.src && targetImageElement) {
+      if (foregroundData.count > 0) {
+        retargetForeground();
+      }
+      return;
+    }
+
+    const request = targetImageRequest + 1;
+    targetImageRequest = request;
+    loadTargetImage(nextImage.src)
+      .then((image) => {
+        if (disposed || request !== targetImageRequest) return;
+        targetImageElement = image;
+        if (foregroundData.count > 0) {
+          retargetForeground(true);
+        }
+      })
+      .catch(() => {
+        // Keep showing the current targets if the image cannot be decoded.
+      });
+  }
+
+  function applyTextLayout(nextLayout) {
+    if (areTextLayoutsEqual(activeTextLayout, nextLayout)) return;
+    activeTextLayout = nextLayout;
+    if (foregroundData.count === 0) return;
+    retargetForeground();
+  }
+
+  function buildPlaylistQueue(previousIndex) {
+    const queue = playlist.words.map((_, index) => index);
+    if (playlist.order === "shuffle") {
+      for (let index = queue.length - 1; index > 0; index -= 1) {
+        const swap = Math.floor(playlistRandom() * (index + 1));
+        [queue[index], queue[swap]] = [queue[swap], queue[index]];
+      }
+      // Never show the same word twice in a row across a reshuffle.
+      if (queue.length > 1 && queue[0] === previousIndex) {
+        [queue[0], queue[1]] = [queue[1], queue[0]];
+      }
+    }
+    return queue;
+  }
+
+  function resetPlaylist() {
+    playlistRandom = createSeededRandom(activeSeed + 0x2545f491);
+    playlistQueue = buildPlaylistQueue(-1);
+    playlistCursor = 0;
+    playlistHoldLeft = playlist.words[playlistQueue[0]].hold;
+    playlistFinished = false;
+  }
+
+  function getPlaylistWord() {
+    return playlist.words[playlistQueue[playlistCursor]].word;
+  }
+
+  function advancePlaylist(delta) {
+    if (!playlist || playlistFinished || playlist.words.length < 2) return;
+    // Hold time only counts once the first word has formed.
+    if (timelinePosition < timeline.convergeEnd) return;
+
+    playlistHoldLeft -= delta;
+    if (playlistHoldLeft > 0) return;
+
+    let nextCursor = playlistCursor + 1;
+    if (nextCursor >= playlistQueue.length) {
+      if (playlist.end === "stop") {
+        playlistFinished = true;
+        return;
+      }
+      playlistQueue = buildPlaylistQueue(playlistQueue[playlistCursor]);
+      nextCursor = 0;
+    }
+
+    playlistCursor = nextCursor;
+    playlistHoldLeft = playlist.words[playlistQueue[playlistCursor]].hold;
+    retargetWord(getPlaylistWord());
+  }
+
+  function applyPlaylist(nextPlaylist) {
+    if (arePlaylistsEqual(playlist, nextPlaylist)) return;
+
+    const keepPosition =
+      playlist &&
+      nextPlaylist &&
+      playlist.order === nextPlaylist.order &&
+      arePlaylistWordsEqual(playlist, nextPlaylist);
+    playlist = nextPlaylist;
+
+    if (keepPosition) {
+      playlistHoldLeft = Math.min(
+        playlistHoldLeft,
+        playlist.words[playlistQueue[playlistCursor]].hold,
+      );
+      playlistFinished = playlistFinished && playlist.end === "stop";
+      return;
+    }
+
+    if (playlist) {
+      resetPlaylist();
+      retargetWord(getPlaylistWord());
+    } else {
+      retargetWord(wordRef.current);
+    }
+  }
+
+  function applyFontSet(nextSet) {
+    const normalized = normalizeFontSet(nextSet);
+    if (
+      normalized.line === activeFontSet.line &&
+      normalized.solid === activeFontSet.solid &&
+      normalized.background === activeFontSet.background
+    ) {
+      return;
+    }
+
+    activeFontSet = normalized;
+    rebuildScene();
+    retargetMorph = 0;
+    retargetExcite = 1;
+  }
+
+  function applyFontAxes(nextAxes) {
+    if (areFontAxesEqual(activeFontAxes, nextAxes)) return;
+    activeFontAxes = nextAxes;
+    if (foregroundData.count === 0) return;
+    refreshForegroundAtlases();
+    retargetForeground();
+  }
+
+  function applyGlyphSets(nextSets) {
+    if (areGlyphSetsEqual(glyphSet, nextSets)) return;
+    glyphSet = normalizeGlyphSets(nextSets);
+    // Filler glyphs lead the foreground atlas, so word glyphs are re-collected
+    // after them and every particle index is reassigned by the rebuild.
+    fgGlyphs = glyphSet.foreground;
+    rebuildScene();
+    retargetMorph = 0;
+    retargetExcite = 1;
+  }
+
+  function applySimulation(nextSimulation) {
+    if (areSimulationsEqual(activeSimulation, nextSimulation)) return;
+    activeSimulation = nextSimulation;
+    // The GPU state is not read back, so switching starts a fresh grid.
+    buildForegroundMesh();
+    retargetMorph = 0;
+    retargetExcite = 1;
+  }
+
+  function applySeed(nextSeed) {
+    const normalized = normalizeSeed(nextSeed);
+    if (normalized === activeSeed) return;
+    activeSeed = normalized;
+    rebuildScene();
+    retargetMorph = 0;
+    retargetExcite = 1;
+  }
+
+  function applyBackgroundMeshFx(nextFx) {
+    const normalized = normalizeBackgroundMeshFx(nextFx);
+    if (normalized.style === activeBackgroundMeshStyle) return;
+    activeBackgroundMeshStyle = normalized.style;
+    onResize();
+  }
+
+  // x and y are the pointer position across the hero box, from -1 to 1.
+  function movePointer(x, y) {
+    pointerVelocityTargetX = x - pointerTargetX;
+    pointerVelocityTargetY = y - pointerTargetY;
+    pointerTargetX = x;
+    pointerTargetY = y;
+    pointerStrengthTarget = 1;
+  }
+
+  function resetPointerState(immediate = false) {
+    pointerTargetX = 0;
+    pointerTargetY = 0;
+    pointerStrengthTarget = 0;
+    pointerVelocityTargetX = 0;
+    pointerVelocityTargetY = 0;
+    if (immediate) {
+      pointerX = 0;
+      pointerY = 0;
+      pointerStrength = 0;
+      pointerVelocityX = 0;
+      pointerVelocityY = 0;
+      pointerEnergy = 0;
+    }
+  }
+
+  function updateScene(delta, t) {
+    const motion = motionRef.current;
+    const ambientTime = t * getTimelineSpeed(motion.settle);
+    const motionTime = timelinePosition;
+
+    const baseConverge = smoothstep(timeline.meshEnd, timeline.convergeEnd, motionTime);
+    const lockPhase = smoothstep(timeline.holdEnd, timeline.solidEnd, motionTime);
+    const flow =
+      0.5 +
+      0.5 *
+        Math.sin(
+          ambientTime * (0.22 * motion.flow) +
+            Math.sin(ambientTime * (0.07 * motion.flow + 0.03)),
+        );
+    const breath =
+      0.5 +
+      0.5 *
+        Math.sin(
+          ambientTime * (0.54 * motion.flow * 0.86) +
+            Math.sin(ambientTime * (0.13 * motion.flow + 0.07)),
+        );
+
+    const rhythmWarp = Math.sin(ambientTime * 0.9) * 0.04 * (1 - baseConverge);
+    const converge = clamp01(baseConverge + rhythmWarp);
+
+    const settle = smoothstep(timeline.meshEnd + 0.4, timeline.solidEnd, motionTime);
+    const settleBack = easeOutBack(settle);
+    const solidifyMix = smoothstep(
+      timeline.solidEnd - 1.3,
+      timeline.solidEnd + TIMELINE_SOLID_FADE,
+      motionTime,
+    );
+    const floatingMix = 1 - solidifyMix;
+
+    const foregroundAlpha = 0.56 + 0.34 * converge + 0.1 * solidifyMix;
+    const backgroundAlpha = 0.84 - lockPhase * 0.16 + breath * 0.05;
+
+    retargetMorph = Math.min(
+      1,
+      retargetMorph + delta * (retargetRate || 0.72 + 0.9 * motion.settle),
+    );
+    retargetExcite += (0 - retargetExcite) * expSmoothing(2.8, delta);
+    const retargetBlend = smoothstep(0.02, 0.96, retargetMorph);
+
+    const pointerFollow = expSmoothing(7.2 * motion.drag, delta);
+    const velocityFollow = expSmoothing(12.5 * motion.drag, delta);
+    const strengthFollow = expSmoothing(4.4 * motion.drag, delta);
+    const trailFade = Math.exp(-6.4 * delta * (0.8 + motion.drag * 0.2));
+
+    pointerX += (pointerTargetX - pointerX) * pointerFollow;
+    pointerY += (pointerTargetY - pointerY) * pointerFollow;
+    pointerVelocityX += (pointerVelocityTargetX - pointerVelocityX) * velocityFollow;
+    pointerVelocityY += (pointerVelocityTargetY - pointerVelocityY) * velocityFollow;
+    pointerVelocityTargetX *= trailFade;
+    pointerVelocityTargetY *= trailFade;
+    pointerStrength += (pointerStrengthTarget - pointerStrength) * strengthFollow;
+
+    const pointerSpeed = Math.min(
+      1.5,
+      Math.hypot(pointerVelocityX, pointerVelocityY) * 15,
+    );
+    pointerEnergy +=
+      (pointerSpeed - pointerEnergy) * expSmoothing(3.6 * motion.drag, delta);
+
+    const driftFollow = expSmoothing(0.85 * motion.flow, delta);
+    const driftTargetX =
+      Math.sin(t * 0.19 * motion.flow + Math.sin(t * 0.07 + 0.8)) * 0.8 +
+      Math.cos(t * 0.11 * motion.flow + 1.5) * 0.34;
+    const driftTargetY =
+      Math.cos(t * 0.17 * motion.flow + Math.sin(t * 0.05 + 0.3)) * 0.72 +
+      Math.sin(t * 0.13 * motion.flow + 2.1) * 0.3;
+    ambientDriftX += (driftTargetX - ambientDriftX) * driftFollow;
+    ambientDriftY += (driftTargetY - ambientDriftY) * driftFollow;
+
+    const pointerMix =
+      pointerStrength *
+      (0.2 + 0.5 * floatingMix) *
+      (0.82 + 0.2 * pointerEnergy) *
+      (0.86 + 0.14 * motion.drag);
+
+    const pointerOffsetX = pointerX * viewportWidth * 0.028 * pointerMix;
+    const pointerOffsetY = -pointerY * viewportHeight * 0.028 * pointerMix;
+    const pointerWorldX = pointerX * viewportWidth * 0.5;
+    const pointerWorldY = -pointerY * viewportHeight * 0.5;
+    const pointerWorldVelX = pointerVelocityX * viewportWidth * 0.52;
+    const pointerWorldVelY = -pointerVelocityY * viewportHeight * 0.52;
+
+    const mode = getInteractionMode(interactionModeRef.current);
+    const modeIndex = getInteractionModeIndex(mode.id);
+    if (foregroundMesh && getSimulationFallback(mode) !== simulationFallback) {
+      // Like a simulation switch, moving the grid between backends starts it fresh.
+      buildForegroundMesh();
+      retargetMorph = 0;
+      retargetExcite = 1;
+    }
+    const modeStrength = modeStrengthsRef.current[mode.id] ?? 1;
+    const modeConfig = mode.config;
+
+    const pointerWarpRadius =
+      Math.min(viewportWidth, viewportHeight) * modeConfig.pointerWarpRadiusFactor;
+    const pointerWarpStrength =
+      foregroundStep *
+      (modeConfig.pointerWarpBase + modeConfig.pointerWarpFloat * floatingMix) *
+      motion.flow *
+      modeStrength;
+    const pointerFlowStrength =
+      foregroundStep *
+      (modeConfig.pointerFlowBase + modeConfig.pointerFlowFloat * floatingMix) *
+      motion.flow *
+      (0.84 + 0.24 * motion.drag) *
+      modeStrength;
+    const backgroundMeshFx = backgroundMeshFxRef.current;
+    const backgroundMeshStyle =
+      backgroundMeshFx.style === "dotgrid"
+        ? 1
+        : backgroundMeshFx.style === "grain"
+          ? 2
+          : 0;
+    const backgroundDotShape = getPaperDotShapeIndex(backgroundMeshFx.dotShape);
+    const backgroundGrainShape = getPaperGrainShapeIndex(backgroundMeshFx.grainShape);
+
+    for (const layer of backgroundLayers) {
+      layer.material.uniforms.uTime.value = t;
+      layer.material.uniforms.uAlpha.value = backgroundAlpha * layer.alphaMul;
+      layer.material.uniforms.uSettle.value = settleBack;
+      layer.material.uniforms.uChaos.value =
+        0.16 + flow * (0.42 + layer.chaosBias * 0.5) + layer.chaosBias;
+      layer.material.uniforms.uPointer.value.set(pointerWorldX, pointerWorldY);
+      layer.material.uniforms.uPointerVelocity.value.set(
+        pointerWorldVelX * layer.driftScale,
+        pointerWorldVelY * layer.driftScale,
+      );
+      layer.material.uniforms.uPointerStrength.value =
+        pointerStrength *
+        (modeConfig.backgroundPointerStrengthBase +
+          modeConfig.backgroundPointerStrengthFloat * floatingMix) *
+        layer.alphaMul *
+        (0.82 + modeConfig.backgroundSpeedBoost * pointerSpeed) *
+        modeStrength;
+      layer.material.uniforms.uPointerRadius.value =
+        Math.min(viewportWidth, viewportHeight) *
+        modeConfig.backgroundPointerRadiusFactor;
+      layer.material.uniforms.uPointerWarp.value =
+        foregroundStep *
+        modeConfig.backgroundPointerWarpFactor *
+        motion.flow *
+        modeStrength;
+      layer.material.uniforms.uDrift.value.set(
+        ambientDriftX * floatingMix * layer.driftScale,
+        ambientDriftY * floatingMix * layer.driftScale,
+      );
+      layer.material.uniforms.uMode.value = modeIndex;
+      layer.material.uniforms.uViewport.value.set(viewportWidth, viewportHeight);
+      layer.material.uniforms.uStyle.value = backgroundMeshStyle;
+      layer.material.uniforms.uFxAmount.value = backgroundMeshFx.amount;
+      layer.material.uniforms.uDotShape.value = backgroundDotShape;
+      layer.material.uniforms.uDotDensity.value = backgroundMeshFx.dotDensity;
+      layer.material.uniforms.uGrainShape.value = backgroundGrainShape;
+
+      layer.mesh.position.x = -pointerOffsetX * layer.parallax;
+      layer.mesh.position.y = -pointerOffsetY * layer.parallax;
+      layer.mesh.rotation.x =
+        -Math.sin(t * (0.14 + layer.parallax)) *
+        0.018 *
+        (0.3 + 0.55 * (1 - lockPhase)) *
+        floatingMix *
+        layer.rotScale *
+        motion.camera;
+      layer.mesh.rotation.y =
+        -Math.cos(t * (0.12 + layer.parallax)) *
+        0.022 *
+        (0.3 + 0.55 * (1 - lockPhase)) *
+        floatingMix *
+        layer.rotScale *
+        motion.camera;
+    }
+
+    if (foregroundMaterial) {
+      foregroundMaterial.uniforms.uAlpha.value = foregroundAlpha;
+      foregroundMaterial.uniforms.uSettle.value = settleBack;
+      foregroundMaterial.uniforms.uTime.value = t;
+      foregroundMaterial.uniforms.uDepthAmp.value =
+        ((1 - settleBack) * 18 + 8 + breath * 6) * floatingMix * motion.camera;
+      foregroundMaterial.uniforms.uSolidify.value = solidifyMix;
+      foregroundMaterial.uniforms.uColorMode.value = colorModeRef.current;
+    }
+
+    if (particleSimulation) {
+      const physicsStep = Math.min(1.8, delta * 60);
+      const simulationUniforms = particleSimulation.uniforms;
+      simulationUniforms.uTime.value = t;
+      simulationUniforms.uStep.value = foregroundStep;
+      simulationUniforms.uFlow.value = flow;
+      simulationUniforms.uConverge.value = converge + lockPhase * 0.08;
+      simulationUniforms.uLockPhase.value = lockPhase;
+      simulationUniforms.uRetargetBlend.value = retargetBlend;
+      simulationUniforms.uRetargetExcite.value = retargetExcite;
+      simulationUniforms.uFloatingMix.value = floatingMix;
+      simulationUniforms.uMotionFlow.value = motion.flow;
+      simulationUniforms.uMotionDrag.value = motion.drag;
+      simulationUniforms.uMotionSettle.value = motion.settle;
+      simulationUniforms.uPhysicsStep.value = physicsStep;
+      simulationUniforms.uDamping.value = Math.pow(
+        Math.max(0.78, Math.min(0.9, 0.845 - (motion.drag - 1) * 0.04)),
+        physicsStep,
+      );
+      simulationUniforms.uAmbientDrift.value.set(ambientDriftX, ambientDriftY);
+      simulationUniforms.uPointer.value.set(pointerWorldX, pointerWorldY);
+      simulationUniforms.uPointerVelocity.value.set(pointerWorldVelX, pointerWorldVelY);
+      simulationUniforms.uPointerStrength.value = pointerStrength;
+      simulationUniforms.uPointerWarpRadius.value = pointerWarpRadius;
+      simulationUniforms.uPointerWarpStrength.value = pointerWarpStrength;
+      simulationUniforms.uPointerFlowStrength.value = pointerFlowStrength;
+      simulationUniforms.uMode.value = modeIndex;
+      particleSimulation.step();
+
+      foregroundMaterial.uniforms.uParticleState.value = particleSimulation.stateTexture;
+      foregroundMaterial.uniforms.uConverge.value = converge + lockPhase * 0.08;
+      foregroundMaterial.uniforms.uRetargetBlend.value = retargetBlend;
+    } else if (foregroundMesh && foregroundAlpha > 0.001) {
+      foregroundFrame.t = t;
+      foregroundFrame.physicsStep = Math.min(1.8, (delta + foregroundWorkerLag) * 60);
+      foregroundFrame.step = foregroundStep;
+      foregroundFrame.flow = flow;
+      foregroundFrame.converge = converge;
+      foregroundFrame.lockPhase = lockPhase;
+      foregroundFrame.retargetBlend = retargetBlend;
+      foregroundFrame.retargetExcite = retargetExcite;
+      foregroundFrame.floatingMix = floatingMix;
+      foregroundFrame.ambientDriftX = ambientDriftX;
+      foregroundFrame.ambientDriftY = ambientDriftY;
+      foregroundFrame.pointerX = pointerWorldX;
+      foregroundFrame.pointerY = pointerWorldY;
+      foregroundFrame.pointerVelX = pointerWorldVelX;
+      foregroundFrame.pointerVelY = pointerWorldVelY;
+      foregroundFrame.pointerStrength = pointerStrength;
+      foregroundFrame.pointerWarpRadius = pointerWarpRadius;
+      foregroundFrame.pointerWarpStrength = pointerWarpStrength;
+      foregroundFrame.pointerFlowStrength = pointerFlowStrength;
+
+      if (foregroundWorker) {
+        // The worker's answer lands in the attributes before a later frame.
+        foregroundWorker.setMode(mode.id);
+        foregroundWorker.setMotion(motion);
+        foregroundWorkerLag = foregroundWorker.step(foregroundFrame)
+          ? 0
+          : foregroundWorkerLag + delta;
+      } else {
+        stepForegroundParticles(
+          foregroundData,
+          foregroundFrame,
+          mode,
+          motion,
+          foregroundOffsetAttribute.array,
+          foregroundGlyphAttribute.array,
+        );
+        foregroundOffsetAttribute.needsUpdate = true;
+        foregroundGlyphAttribute.needsUpdate = true;
+      }
+    }
+
+    const drift = (0.3 + 0.55 * (1 - lockPhase)) * floatingMix * motion.camera;
+    camera.position.x = Math.sin(t * 0.24) * 10 * drift + pointerX * 2 * pointerMix;
+    camera.position.y = Math.cos(t * 0.21 + 1.2) * 7 * drift - pointerY * 1.8 * pointerMix;
+    camera.position.z = cameraBaseZ + Math.sin(t * 0.18) * 18 * drift;
+
+    if (foregroundMesh) {
+      foregroundMesh.position.x = pointerOffsetX * 0.08;
+      foregroundMesh.position.y = pointerOffsetY * 0.08;
+      foregroundMesh.rotation.x = Math.sin(t * 0.18) * 0.03 * drift;
+      foregroundMesh.rotation.y = Math.cos(t * 0.15) * 0.05 * drift;
+    }
+
+    camera.lookAt(0, 0, 0);
+
+    if (bloomPass && filmUniforms) {
+      bloomPass.strength = 0.14 + 0.16 * motion.camera + 0.06 * floatingMix;
+      bloomPass.radius = 0.34 + 0.12 * (1 - floatingMix);
+      bloomPass.threshold = 0.92;
+
+      filmUniforms.uTime.value = t;
+      filmUniforms.uNoise.value = 0.012 + 0.012 * (1 - solidifyMix);
+      filmUniforms.uVignette.value = 0.22 + 0.16 * motion.camera;
+    }
+
+    if (paperUniforms) {
+      const paper = paperFxRef.current;
+      paperUniforms.uTime.value = t;
+      paperUniforms.uIntensity.value = paper.enabled ? paper.intensity : 0;
+      paperUniforms.uPalette.value = getPaperPaletteIndex(paper.palette);
+      paperUniforms.uEffect.value = getPaperEffectIndex(paper.effect);
+      paperUniforms.uEffectAmount.value = paper.amount;
+      paperUniforms.uSpeed.value = paper.speed;
+      paperUniforms.uPointer.value.set((pointerX + 1) * 0.5, (1 - pointerY) * 0.5);
+      paperUniforms.uEnergy.value = Math.min(1, pointerEnergy);
+    }
+
+    if (t > hudUpdateAt) {
+      setPerfText(`${Math.round(fpsEma)} FPS · Q${qualityScale.toFixed(2)} · ${getRendererHudLabel()}${getSimulationHudLabel(mode)} · ${currentWord.replace(/\n/g, " / ")}`);
+      hudUpdateAt = t + 0.35;
+    }
+
+    return motionTime;
+  }
+
+  function renderScene() {
+    if (outputContext) {
+      beginSharedRender(outputWidth, outputHeight);
+    }
+    if (composer) {
+      composer.render();
+    } else if (nodePostProcessing) {
+      nodePostProcessing.render();
+    } else {
+      renderer.render(scene, camera);
+    }
+    if (outputContext) {
+      presentSharedRender(outputContext, outputWidth, outputHeight);
+    }
+  }
+
+  // Compares against the last reported state so handlers run once per
+  // transition rather than every frame.
+  function reportTransitions() {
+    const handlers = eventHandlersRef.current;
+    const phase = getTimelinePhase(timeline, timelinePosition);
+    if (phase !== reportedPhase) {
+      reportedPhase = phase;
+      handlers.onPhaseChange?.(phase);
+    }
+    if (retargetPending && retargetMorph >= 1) {
+      retargetPending = false;
+      handlers.onRetargetComplete?.(currentWord);
+    }
+  }
+
+  function animate() {
+    animationFrame = 0;
+    if (disposed) return;
+    // Heroes scrolled out of view stop here and are restarted by setInView;
+    // a recording keeps running so its timing stays intact.
+    if (!inView && !recording) return;
+
+    const wallDelta = clock.getDelta();
+    if (recording) {
+      // Hold the wall clock to the recording rate so each fixed step is
+      // shown for as long as the encoder expects.
+      const now = performance.now();
+      const interval = 1000 / recording.fps;
+      if (now < recording.nextFrameAt - interval * 0.25) {
+        animationFrame = requestFrame(animate);
+        return;
+      }
+      recording.nextFrameAt = Math.max(recording.nextFrameAt + interval, now);
+    }
+
+    const frameDelta = recording ? recording.step : wallDelta;
+    elapsedTime += frameDelta;
+    const delta = Math.min(0.05, frameDelta);
+    const t = elapsedTime;
+
+    const fps = 1 / Math.max(0.0001, delta);
+    fpsEma += (fps - fpsEma) * 0.08;
+
+    if (!recording && t > qualityEvalAt) {
+      let targetQuality =
+        1 - Math.max(0, screenPixelRatio - 1) * 0.14;
+
+      if (fpsEma < 58) targetQuality -= 0.04;
+      if (fpsEma < 50) targetQuality -= 0.07;
+      if (fpsEma < 42) targetQuality -= 0.09;
+      if (fpsEma < 34) targetQuality -= 0.12;
+      if (fpsEma > 63) targetQuality += 0.05;
+
+      targetQuality = Math.max(0.62, Math.min(1.05, targetQuality));
+
+      if (Math.abs(targetQuality - qualityScale) > 0.08) {
+        qualityScale += Math.sign(targetQuality - qualityScale) * 0.08;
+        qualityScale = Math.max(0.62, Math.min(1.05, qualityScale));
+        qualityEvalAt = t + 3.2;
+        applyRenderScale();
+        eventHandlersRef.current.onQualityChange?.(qualityScale);
+        animationFrame = requestFrame(animate);
+        return;
+      }
+
+      qualityEvalAt = t + 3.2;
+    }
+
+    advanceTimeline(delta, transportLoopRef.current);
+    const motionTime = updateScene(delta, t);
+    renderScene();
+    syncScrubber();
+    reportTransitions();
+
+    if (recording) {
+      recording.frames += 1;
+      if (recording.manualFrames) {
+        recording.track.requestFrame();
+      }
+      if (
+        (recording.stopAtSolid && motionTime >= timeline.solidEnd) ||
+        (recording.maxFrames > 0 && recording.frames >= recording.maxFrames)
+      ) {
+        stopRecording();
+      }
+    }
+    animationFrame = requestFrame(animate);
+  }
+
+  function createWebGLRenderer() {
+    const nextRenderer = new THREE.WebGLRenderer({
+      canvas,
+      antialias: true,
+      powerPreference: "high-performance",
+    });
+    nextRenderer.setClearColor(0x000000, 1);
+    return nextRenderer;
+  }
+
+  async function boot() {
+    try {
+      await Promise.all([
+        loadCanvasFont("Geist Pixel Line", pixelLineFontUrl),
+        loadCanvasFont("Geist Pixel Square", pixelSquareFontUrl),
+      ]);
+    } catch {
+      // Ignore font load failures; fallback fonts still allow rendering.
+    }
+    if (disposed) return;
+
+    if (requestedBackend === "webgpu") {
+      try {
+        const module = await loadWebGPUModule();
+        const nextRenderer = await module.createWebGPURenderer(canvas);
+        if (disposed) {
+          nextRenderer?.dispose();
+          return;
+        }
+        if (nextRenderer) {
+          renderer = nextRenderer;
+          webgpu = module;
+        }
+      } catch {
+        // Fall through to WebGL if the chunk fails to load.
+      }
+      if (disposed) return;
+    }
+
+    if (webgpu) {
+      const pipeline = webgpu.createPostProcessing(renderer, scene, camera, {
+        paper: PAPER_MESH_SHADER.uniforms,
+        film: FILM_GRAIN_SHADER.uniforms,
+      });
+      nodePostProcessing = pipeline;
+      bloomPass = pipeline.bloomPass;
+      paperUniforms = pipeline.paperUniforms;
+      filmUniforms = pipeline.filmUniforms;
+    } else {
+      renderer ??= createWebGLRenderer();
+      gpuParticlesSupported = supportsGpuParticles(renderer);
+      try {
+        const {
+          EffectComposer,
+          RenderPass,
+          UnrealBloomPass,
+          ShaderPass,
+        } = await loadPostprocessingModules();
+        if (disposed) return;
+
+        const nextComposer = new EffectComposer(renderer);
+        const nextRenderPass = new RenderPass(scene, camera);
+        const nextBloomPass = new UnrealBloomPass(new THREE.Vector2(1, 1), 0.24, 0.45, 0.92);
+        const nextPaperPass = new ShaderPass(PAPER_MESH_SHADER);
+        const nextFilmPass = new ShaderPass(FILM_GRAIN_SHADER);
+        nextComposer.addPass(nextRenderPass);
+        nextComposer.addPass(nextBloomPass);
+        nextComposer.addPass(nextPaperPass);
+        nextComposer.addPass(nextFilmPass);
+
+        if (disposed) {
+          nextComposer.dispose();
+          return;
+        }
+
+        postprocessing = { EffectComposer, RenderPass, UnrealBloomPass, ShaderPass };
+        composer = nextComposer;
+        renderPass = nextRenderPass;
+        bloomPass = nextBloomPass;
+        paperPass = nextPaperPass;
+        filmPass = nextFilmPass;
+        filmUniforms = nextFilmPass.material.uniforms;
+        paperUniforms = nextPaperPass.material.uniforms;
+      } catch {
+        // Fallback to direct renderer if postprocessing chunk fails.
+      }
+    }
+    if (disposed) return;
+
+    activeTextLayout = textLayoutRef.current;
+    activeFontAxes = fontAxesRef.current;
+    glyphSet = glyphSetsRef.current;
+    fgGlyphs = glyphSet.foreground;
+    activeSimulation = simulationRef.current;
+    applyTargetImage(targetImageRef.current);
+    playlist = playlistRef.current;
+    if (playlist) {
+      resetPlaylist();
+      currentWord = getPlaylistWord();
+    }
+    onResize();
+    propAppliers = {
+      word: retargetWord,
+      playlist: applyPlaylist,
+      textLayout: applyTextLayout,
+      targetImage: applyTargetImage,
+      seed: applySeed,
+      fontSet: applyFontSet,
+      fontAxes: applyFontAxes,
+      glyphSets: applyGlyphSets,
+      simulation: applySimulation,
+      timeline: applyTimeline,
+      backgroundMeshFx: applyBackgroundMeshFx,
+    };
+    transportRef.current = {
+      togglePlaying: toggleTimelinePlaying,
+      restart: restartTimeline,
+      seek: seekTimeline,
+      beginScrub: beginTimelineScrub,
+      endScrub: endTimelineScrub,
+    };
+    controlsRef.current = {
+      setWord,
+      restartTimeline,
+      pause: pauseTimeline,
+      resume: resumeTimeline,
+      pulse,
+      snapshot: captureSnapshot,
+      startRecording,
+      stopRecording,
+      exportFrameSequence,
+      getStats,
+    };
+    clock.start();
+    started = true;
+    animate();
+    eventHandlersRef.current.onReady?.();
+  }
+
+  function setInView(nextInView) {
+    inView = nextInView;
+    if (!inView || !started || disposed || frameExportActive || animationFrame !== 0) return;
+    clock.getDelta();
+    animationFrame = requestFrame(animate);
+  }
+
+  function resize(width, height, pixelRatio) {
+    if (
+      width === containerWidth &&
+      height === containerHeight &&
+      pixelRatio === screenPixelRatio
+    ) {
+      return;
+    }
+    containerWidth = width;
+    containerHeight = height;
+    screenPixelRatio = pixelRatio;
+    onResizeEvent();
+  }
+
+  // Refs are read again at boot, so changes before then only need the ref.
+  // Props without an applier are read from their ref every frame.
+  function setProp(name, value) {
+    host.refs[SCENE_PROP_REFS[name]].current = value;
+    propAppliers?.[name]?.(value);
+  }
+
+  // The background shader inlines every registered mode, so it is rebuilt
+  // when the registry changes.
+  function onInteractionModesChange() {
+    if (!started || disposed) return;
+    buildBackgroundMeshes();
+    particleSimulation?.setForceGlsl(
+      buildInteractionModeGlsl(getInteractionModes(), "particleGlsl"),
+    );
+  }
+
+  function onResizeEvent() {
+    if (resizeFrame !== 0) return;
+    resizeFrame = requestAnimationFrame(() => {
+      resizeFrame = 0;
+      // boot sizes the scene itself once the renderer exists.
+      if (started) onResize();
+    });
+  }
+
+  const unsubscribeInteractionModes = subscribeInteractionModes(onInteractionModesChange);
+  boot().catch((error) => {
+    if (disposed) return;
+    dispose();
+    host.onError?.(error);
+  });
+
+  function dispose() {
+    disposed = true;
+    propAppliers = null;
+    transportRef.current = null;
+    controlsRef.current = null;
+    stopRecording();
+
+    cancelFrame(animationFrame);
+    if (resizeFrame !== 0) {
+      cancelAnimationFrame(resizeFrame);
+    }
+    unsubscribeInteractionModes();
+
+    stopForegroundWorker();
+    disposeForeground(true);
+    disposeBackgroundLayers(true);
+
+    if (composer) {
+      composer.dispose();
+      for (const pass of [bloomPass, paperPass, filmPass]) {
+        pass?.dispose();
+      }
+    }
+    nodePostProcessing?.dispose();
+    clock.stop();
+    if (sharedRenderer) {
+      releaseSharedRenderer();
+    } else {
+      renderer?.dispose();
+    }
+  }
+
+  return {
+    setProp,
+    resize,
+    setInView,
+    movePointer,
+    releasePointer: () => resetPointerState(true),
+    dispose,
+  };
+}
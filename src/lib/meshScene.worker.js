@@ -0,0 +1,130 @@
+import { SCENE_PROP_REFS, createMeshScene } from "./meshScene.js";
+
+// Runs one hero scene on a transferred OffscreenCanvas. Messages in:
+//   init      { canvas, renderBackend, rendererFallback, width, height,
+//               pixelRatio, props }
+//                                     props keyed as SCENE_PROP_REFS
+//   prop      { name, value }
+//   resize    { width, height, pixelRatio }
+//   view      { inView }
+//   pointer   { x, y }                hero-relative, -1 to 1
+//   release                           pointer left, window blurred or tab hidden
+//   transport { method, args }        overlay buttons, scrubber and P/R hotkeys
+//   call      { id?, method, args }   imperative controls; calls with an id
+//                                     are answered with a result message
+//   abort     { id }                  cancels a running frame export
+//   dispose
+// Messages out are perf { text, stats }, scrubber { value }, playing
+// { playing }, event { name, args }, progress { id, done, total }, result
+// { id, value | error } and error { message } when the scene cannot start.
+
+const EVENT_NAMES = ["onPhaseChange", "onRetargetComplete", "onReady", "onQualityChange"];
+
+let scene = null;
+let refs = null;
+const exports = new Map();
+
+function init(message) {
+  refs = {
+    eventHandlersRef: {
+      current: Object.fromEntries(
+        EVENT_NAMES.map((name) => [
+          name,
+          (...args) => self.postMessage({ type: "event", name, args }),
+        ]),
+      ),
+    },
+    transportRef: { current: null },
+    controlsRef: { current: null },
+  };
+  for (const [name, refName] of Object.entries(SCENE_PROP_REFS)) {
+    refs[refName] = { current: message.props[name] };
+  }
+
+  try {
+    scene = createMeshScene(message.canvas, {
+      refs,
+      sharedRenderer: false,
+      renderBackend: message.renderBackend,
+      rendererFallback: message.rendererFallback,
+      width: message.width,
+      height: message.height,
+      pixelRatio: message.pixelRatio,
+      setPerfText(text) {
+        const stats = refs.controlsRef.current?.getStats() ?? null;
+        self.postMessage({ type: "perf", text, stats });
+      },
+      setScrubberValue(value) {
+        self.postMessage({ type: "scrubber", value });
+      },
+      setTransportPlaying(playing) {
+        self.postMessage({ type: "playing", playing });
+      },
+      // The scene has already disposed itself.
+      onError(error) {
+        scene = null;
+        reportError(error);
+      },
+    });
+  } catch (error) {
+    scene = null;
+    reportError(error);
+  }
+}
+
+function reportError(error) {
+  self.postMessage({ type: "error", message: error?.message ?? String(error) });
+}
+
+async function call(message) {
+  const { id, method, args } = message;
+  const controls = refs.controlsRef.current;
+  if (id === undefined) {
+    controls?.[method](...args);
+    return;
+  }
+
+  try {
+    if (!controls) throw new Error("Renderer is still loading.");
+    let value;
+    if (method === "exportFrameSequence") {
+      const abort = new AbortController();
+      exports.set(id, abort);
+      value = await controls.exportFrameSequence({
+        ...args[0],
+        signal: abort.signal,
+        onProgress: (done, total) => self.postMessage({ type: "progress", id, done, total }),
+      });
+    } else {
+      value = await controls[method](...args);
+    }
+    self.postMessage({ type: "result", id, value });
+  } catch (error) {
+    self.postMessage({ type: "result", id, error: error?.message ?? String(error) });
+  } finally {
+    exports.delete(id);
+  }
+}
+
+self.onmessage = ({ data: message }) => {
+  if (message.type === "init") {
+    init(message);
+    return;
+  }
+  if (!scene) return;
+  if (message.type === "prop") scene.setProp(message.name, message.value);
+  else if (message.type === "resize") {
+    scene.resize(message.width, message.height, message.pixelRatio);
+  } else if (message.type === "view") scene.setInView(message.inView);
+  else if (message.type === "pointer") scene.movePointer(message.x, message.y);
+  else if (message.type === "release") scene.releasePointer();
+  else if (message.type === "transport") {
+    refs.transportRef.current?.[message.method](...message.args);
+  } else if (message.type === "call") call(message);
+  else if (message.type === "abort") exports.get(message.id)?.abort();
+  else if (message.type === "dispose") {
+    scene.dispose();
+    scene = null;
+    self.close();
+  }
+};
@@ -0,0 +1,177 @@
+import { SCENE_PROP_REFS } from "./meshScene.js";
+
+// Main-thread side of meshScene.worker.js. It has the same handle as
+// createMeshScene, but the canvas is transferred to a worker that runs the
+// renderer, composer and animation loop. The hero keeps the DOM listeners and
+// forwards pointer, size and prop changes. Controls are proxied over
+// postMessage, and getStats returns the last stats the worker sent with the
+// HUD text.
+//
+// Only built-in interaction modes and fonts the worker can load itself
+// (bundled faces, installed system fonts) exist there. Modes registered on the
+// page and FontFaces added to the document fall back to the defaults, so
+// callers should keep heroes that use them on the main thread (see
+// isBuiltInInteractionMode).
+//
+// Support is only known once the worker runs: when the module fails to load
+// or the scene cannot start in it, the worker is dropped and onError is
+// called so the caller can restart the scene on this thread.
+export function supportsOffscreenScene(canvas) {
+  return typeof Worker !== "undefined" && typeof canvas.transferControlToOffscreen === "function";
+}
+
+// Relative image URLs would otherwise resolve against the worker script.
+function serializeSceneProp(name, value) {
+  if (name === "targetImage" && value) {
+    return { ...value, src: new URL(value.src, document.baseURI).href };
+  }
+  return value;
+}
+
+export function createMeshSceneWorker(canvas, host, onError) {
+  const { refs } = host;
+  const worker = new Worker(new URL("./meshScene.worker.js", import.meta.url), {
+    type: "module",
+  });
+  const requests = new Map();
+  let nextRequestId = 1;
+  let stats = null;
+  let disposed = false;
+
+  function send(type, payload) {
+    if (!disposed) worker.postMessage({ type, ...payload });
+  }
+
+  function shutdown(reason) {
+    disposed = true;
+    refs.transportRef.current = null;
+    refs.controlsRef.current = null;
+    for (const pending of requests.values()) {
+      pending.reject(new Error(reason));
+    }
+    requests.clear();
+  }
+
+  function fail(message) {
+    if (disposed) return;
+    worker.terminate();
+    shutdown(`Offscreen renderer failed: ${message}`);
+    onError?.(new Error(message));
+  }
+
+  function call(method, ...args) {
+    send("call", { method, args });
+  }
+
+  function request(method, args, { signal = null, onProgress = null } = {}) {
+    if (disposed) return Promise.reject(new Error("Renderer was unmounted."));
+    const id = nextRequestId;
+    nextRequestId += 1;
+    return new Promise((resolve, reject) => {
+      requests.set(id, { resolve, reject, onProgress });
+      signal?.addEventListener("abort", () => send("abort", { id }), { once: true });
+      send("call", { id, method, args });
+    });
+  }
+
+  const transport = {
+    togglePlaying: () => send("transport", { method: "togglePlaying", args: [] }),
+    restart: () => send("transport", { method: "restart", args: [] }),
+    seek: (position) => send("transport", { method: "seek", args: [position] }),
+    beginScrub: () => send("transport", { method: "beginScrub", args: [] }),
+    endScrub: () => send("transport", { method: "endScrub", args: [] }),
+  };
+
+  const controls = {
+    setWord: (word, options) => call("setWord", word, options),
+    restartTimeline: () => call("restartTimeline"),
+    pause: () => call("pause"),
+    resume: () => call("resume"),
+    pulse: (x, y, strength) => call("pulse", x, y, strength),
+    snapshot: (options) => request("snapshot", [options]),
+    // OffscreenCanvas has no captureStream, so there is nothing to record.
+    startRecording: () =>
+      Promise.reject(new Error("Video recording is not available for offscreen rendering.")),
+    stopRecording: () => {},
+    exportFrameSequence(options) {
+      const { signal = null, onProgress = null, ...rest } = options ?? {};
+      if (signal?.aborted) return Promise.reject(new Error("Frame export cancelled."));
+      return request("exportFrameSequence", [rest], {
+        signal,
+        onProgress: typeof onProgress === "function" ? onProgress : null,
+      });
+    },
+    getStats: () => stats,
+  };
+
+  worker.onerror = (event) => {
+    event.preventDefault();
+    fail(event.message || "the worker could not be loaded");
+  };
+  worker.onmessageerror = () => fail("a worker message could not be read");
+
+  worker.onmessage = ({ data: message }) => {
+    if (disposed) return;
+    if (message.type === "error") {
+      fail(message.message);
+    } else if (message.type === "perf") {
+      stats = message.stats;
+      host.setPerfText(message.text);
+    } else if (message.type === "scrubber") {
+      host.setScrubberValue(message.value);
+    } else if (message.type === "playing") {
+      host.setTransportPlaying(message.playing);
+    } else if (message.type === "event") {
+      if (message.name === "onReady") {
+        refs.transportRef.current = transport;
+        refs.controlsRef.current = controls;
+      }
+      refs.eventHandlersRef.current[message.name]?.(...message.args);
+    } else if (message.type === "progress") {
+      requests.get(message.id)?.onProgress?.(message.done, message.total);
+    } else if (message.type === "result") {
+      const pending = requests.get(message.id);
+      if (!pending) return;
+      requests.delete(message.id);
+      if (message.error !== undefined) {
+        pending.reject(new Error(message.error));
+      } else {
+        pending.resolve(message.value);
+      }
+    }
+  };
+
+  const props = {};
+  for (const [name, refName] of Object.entries(SCENE_PROP_REFS)) {
+    props[name] = serializeSceneProp(name, refs[refName].current);
+  }
+  const offscreen = canvas.transferControlToOffscreen();
+  worker.postMessage(
+    {
+      type: "init",
+      canvas: offscreen,
+      renderBackend: host.renderBackend,
+      rendererFallback: host.rendererFallback,
+      width: host.width,
+      height: host.height,
+      pixelRatio: host.pixelRatio,
+      props,
+    },
+    [offscreen],
+  );
+
+  return {
+    setProp(name, value) {
+      refs[SCENE_PROP_REFS[name]].current = value;
+      send("prop", { name, value: serializeSceneProp(name, value) });
+    },
+    resize: (width, height, pixelRatio) => send("resize", { width, height, pixelRatio }),
+    setInView: (inView) => send("view", { inView }),
+    movePointer: (x, y) => send("pointer", { x, y }),
+    releasePointer: () => send("release"),
+    dispose() {
+      send("dispose");
+      shutdown("Renderer was unmounted.");
+    },
+  };
+}
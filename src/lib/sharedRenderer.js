@@ -0,0 +1,94 @@
+import * as THREE from "three";
+
+let shared = null;
+let frameHandle = 0;
+let nextFrameId = 1;
+const frameCallbacks = new Map();
+
+// One WebGL context for every hero that opts in. Each instance renders into
+// the bottom-left corner of this canvas and copies the result to its own 2D
+// canvas, so the drawing buffer only ever grows to the largest instance.
+export function acquireSharedRenderer() {
+  if (!shared) {
+    const renderer = new THREE.WebGLRenderer({
+      canvas: document.createElement("canvas"),
+      antialias: true,
+      powerPreference: "high-performance",
+    });
+    renderer.setClearColor(0x000000, 1);
+    renderer.setPixelRatio(1);
+    shared = { renderer, users: 0, width: 1, height: 1 };
+  }
+  shared.users += 1;
+  return shared.renderer;
+}
+
+export function releaseSharedRenderer() {
+  if (!shared) return;
+  shared.users -= 1;
+  if (shared.users > 0) return;
+  shared.renderer.dispose();
+  shared = null;
+}
+
+// Sizes are in device pixels; the shared renderer keeps a pixel ratio of 1.
+export function ensureSharedRendererSize(width, height) {
+  if (!shared) return;
+  if (width <= shared.width && height <= shared.height) return;
+  shared.width = Math.max(shared.width, width);
+  shared.height = Math.max(shared.height, height);
+  shared.renderer.setSize(shared.width, shared.height, false);
+}
+
+// Points the default framebuffer at the instance's region before it renders.
+export function beginSharedRender(width, height) {
+  const { renderer } = shared;
+  renderer.setViewport(0, 0, width, height);
+  renderer.setScissor(0, 0, width, height);
+  renderer.setScissorTest(true);
+}
+
+export function presentSharedRender(context, width, height) {
+  const { renderer } = shared;
+  renderer.setScissorTest(false);
+  context.drawImage(
+    renderer.domElement,
+    0,
+    renderer.domElement.height - height,
+    width,
+    height,
+    0,
+    0,
+    width,
+    height,
+  );
+}
+
+function runFrame(time) {
+  frameHandle = 0;
+  const callbacks = [...frameCallbacks.values()];
+  frameCallbacks.clear();
+  for (const callback of callbacks) {
+    callback(time);
+  }
+}
+
+// A requestAnimationFrame stand-in that batches every instance into one
+// browser frame callback.
+export function requestSharedFrame(callback) {
+  const id = nextFrameId;
+  nextFrameId += 1;
+  frameCallbacks.set(id, callback);
+  if (frameHandle === 0) {
+    frameHandle = window.requestAnimationFrame(runFrame);
+  }
+  return id;
+}
+
+export function cancelSharedFrame(id) {
+  frameCallbacks.delete(id);
+  if (frameCallbacks.size === 0 && frameHandle !== 0) {
+    window.cancelAnimationFrame(frameHandle);
+    frameHandle = 0;
+  }
+}
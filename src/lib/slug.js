@@ -0,0 +1,12 @@
+// File-name slug for a hero word. Accents are folded to ASCII first; words
+// with nothing left after that (CJK, RTL, emoji) get the fallback instead.
+export function slugifyWord(value, fallback = "mesh") {
+  return (
+    String(value)
+      .normalize("NFKD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "") || fallback
+  );
+}
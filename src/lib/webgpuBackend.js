@@ -0,0 +1,761 @@
+import {
+  HalfFloatType,
+  NodeMaterial,
+  PostProcessing,
+  RenderTarget,
+  WebGPURenderer,
+} from "three/webgpu";
+import * as TSL from "three/tsl";
+import {
+  Discard,
+  Fn,
+  If,
+  Loop,
+  abs,
+  atan,
+  attribute,
+  clamp,
+  cos,
+  dot,
+  exp,
+  float,
+  floor,
+  fract,
+  length,
+  max,
+  min,
+  mix,
+  normalize,
+  pass,
+  positionLocal,
+  pow,
+  sign,
+  sin,
+  smoothstep,
+  texture,
+  uniform,
+  uv,
+  varying,
+  varyingProperty,
+  vec2,
+  vec3,
+  vec4,
+} from "three/tsl";
+import { bloom } from "three/examples/jsm/tsl/display/BloomNode.js";
+
+// The WebGPU side of meshScene.js: TSL ports of its background and foreground
+// ShaderMaterials and of PAPER_MESH_SHADER and FILM_GRAIN_SHADER. The GLSL
+// versions are the reference, so a change to one of those shaders needs the
+// same change here. meshScene.js imports this module only when a hero asks for
+// WebGPU, which keeps three/webgpu out of the default bundle.
+
+// Resolves to null when there is no adapter or the device fails to start, and
+// the caller builds its WebGL renderer instead. The adapter is checked before
+// the canvas is touched because WebGPURenderer would otherwise fall back to
+// its own WebGL2 backend.
+export async function createWebGPURenderer(canvas) {
+  const adapter = await globalThis.navigator?.gpu
+    ?.requestAdapter({ powerPreference: "high-performance" })
+    .catch(() => null);
+  if (!adapter) return null;
+
+  const renderer = new WebGPURenderer({
+    canvas,
+    alpha: false,
+    antialias: true,
+    powerPreference: "high-performance",
+  });
+  try {
+    await renderer.init();
+  } catch {
+    renderer.dispose();
+    return null;
+  }
+  if (!renderer.backend.isWebGPUBackend) {
+    renderer.dispose();
+    return null;
+  }
+  renderer.setClearColor(0x000000, 1);
+  return renderer;
+}
+
+export function getMaxTextureSize(renderer) {
+  return renderer.backend.device.limits.maxTextureDimension2D;
+}
+
+// WebGPU pads each row to 256 bytes and stores the image top-down. Repack it
+// into the tight, bottom-up layout WebGL's readRenderTargetPixels returns so
+// both backends share the PNG encoder.
+export async function readRenderTargetPixels(renderer, target, width, height) {
+  const data = await renderer.readRenderTargetPixelsAsync(target, 0, 0, width, height);
+  const rowBytes = width * 4;
+  const stride = Math.ceil(rowBytes / 256) * 256;
+  const pixels = new Uint8Array(rowBytes * height);
+  for (let y = 0; y < height; y += 1) {
+    const start = y * stride;
+    pixels.set(data.subarray(start, start + rowBytes), (height - 1 - y) * rowBytes);
+  }
+  return pixels;
+}
+
+// Turns ShaderMaterial-style { value } uniforms into uniform and texture
+// nodes under the same names, so the per-frame code can keep writing
+// material.uniforms.uName.value on either backend. Vectors are cloned because
+// the pass definitions are shared module constants.
+function createUniformNodes(uniforms) {
+  const nodes = {};
+  for (const [name, { value }] of Object.entries(uniforms)) {
+    if (value === null) continue;
+    if (value.isTexture) {
+      nodes[name] = texture(value);
+    } else {
+      nodes[name] = uniform(typeof value === "number" ? value : value.clone());
+    }
+  }
+  return nodes;
+}
+
+const hash = Fn(([p]) => fract(sin(dot(p, vec2(127.1, 311.7))).mul(43758.5453123))).setLayout({
+  name: "meshHash",
+  type: "float",
+  inputs: [{ name: "p", type: "vec2" }],
+});
+
+const noise = Fn(([p]) => {
+  const i = floor(p).toVar();
+  const f = fract(p).toVar();
+  const a = hash(i);
+  const b = hash(i.add(vec2(1, 0)));
+  const c = hash(i.add(vec2(0, 1)));
+  const d = hash(i.add(vec2(1, 1)));
+  const u = f.mul(f).mul(f.mul(-2).add(3)).toVar();
+  return mix(mix(a, b, u.x), mix(c, d, u.x), u.y);
+}).setLayout({
+  name: "meshNoise",
+  type: "float",
+  inputs: [{ name: "p", type: "vec2" }],
+});
+
+// Glyph atlases are laid out as a grid, row 0 at the top of the canvas.
+const glyphAtlasUv = Fn(([cellUv, glyph, grid]) => {
+  const index = floor(glyph.add(0.5)).toVar();
+  const row = floor(index.add(0.5).div(grid.x)).toVar();
+  const column = index.sub(row.mul(grid.x));
+  return vec2(
+    cellUv.x.add(column).div(grid.x),
+    float(1).sub(row.add(1).sub(cellUv.y).div(grid.y)),
+  );
+}).setLayout({
+  name: "meshGlyphAtlasUv",
+  type: "vec2",
+  inputs: [
+    { name: "cellUv", type: "vec2" },
+    { name: "glyph", type: "float" },
+    { name: "grid", type: "vec2" },
+  ],
+});
+
+const backgroundDotShapeMask = Fn(([p, shape]) => {
+  const mask = float(0).toVar();
+  If(shape.lessThan(0.5), () => {
+    mask.assign(smoothstep(0.36, 0.42, length(p)).oneMinus());
+  })
+    .ElseIf(shape.lessThan(1.5), () => {
+      const q = abs(p).toVar();
+      mask.assign(smoothstep(0.43, 0.5, q.x.add(q.y)).oneMinus());
+    })
+    .ElseIf(shape.lessThan(2.5), () => {
+      const q = abs(p).toVar();
+      mask.assign(smoothstep(0.36, 0.42, max(q.x, q.y)).oneMinus());
+    })
+    .Else(() => {
+      const y = p.y.add(0.12).toVar();
+      const d = max(abs(p.x).mul(1.15).add(y.mul(0.9)), y.negate());
+      mask.assign(smoothstep(0.34, 0.42, d).oneMinus());
+    });
+  return mask;
+}).setLayout({
+  name: "meshDotShapeMask",
+  type: "float",
+  inputs: [
+    { name: "p", type: "vec2" },
+    { name: "shape", type: "float" },
+  ],
+});
+
+const backgroundGrainWarp = Fn(([source, shape, t, amount]) => {
+  const p = vec2(source).toVar();
+  If(shape.lessThan(0.5), () => {
+    p.addAssign(sign(source).mul(pow(abs(source), vec2(1.9))).mul(amount.mul(0.45).add(0.26)));
+  })
+    .ElseIf(shape.lessThan(1.5), () => {
+      p.addAssign(
+        vec2(
+          sin(source.y.mul(amount.mul(2).add(3.5)).add(t.mul(0.72))),
+          cos(source.x.mul(amount.mul(2.2).add(3.2)).sub(t.mul(0.63))),
+        ).mul(amount.mul(0.26).add(0.2)),
+      );
+    })
+    .ElseIf(shape.lessThan(2.5), () => {
+      const scaled = source.add(1).mul(amount.mul(4).add(3)).toVar();
+      const jitter = hash(floor(scaled).add(vec2(1.9, -2.4))).toVar();
+      const cell = fract(scaled).sub(0.5).toVar();
+      If(jitter.greaterThan(0.5), () => {
+        cell.assign(vec2(cell.x.negate(), cell.y));
+      });
+      const angle = t.mul(0.15).add(jitter.mul(3.1415)).toVar();
+      const c = cos(angle);
+      const s = sin(angle);
+      p.assign(vec2(cell.x.mul(c).sub(cell.y.mul(s)), cell.x.mul(s).add(cell.y.mul(c))));
+    })
+    .ElseIf(shape.lessThan(3.5), () => {
+      const l = length(source).add(0.0001).toVar();
+      p.addAssign(
+        normalize(source)
+          .mul(amount.mul(0.38).add(0.24))
+          .mul(exp(l.mul(-2.6)))
+          .mul(sin(t.mul(0.7).add(l.mul(9)))),
+      );
+    })
+    .ElseIf(shape.lessThan(4.5), () => {
+      const r = length(source).toVar();
+      p.addAssign(
+        vec2(
+          sin(r.mul(amount.mul(14).add(10)).sub(t.mul(0.62))),
+          cos(r.mul(amount.mul(12).add(8.4)).add(t.mul(0.55))),
+        ).mul(amount.mul(0.2).add(0.1)),
+      );
+    })
+    .ElseIf(shape.lessThan(5.5), () => {
+      const l = length(source).add(0.0001);
+      p.addAssign(normalize(source).mul(amount.mul(0.38).add(0.18)).mul(exp(l.mul(-1.9))));
+    })
+    .Else(() => {
+      p.assign(
+        normalize(source.add(vec2(0.0001, -0.0001))).mul(
+          pow(length(source), amount.mul(0.65).add(1.2)),
+        ),
+      );
+    });
+  return p;
+}).setLayout({
+  name: "meshGrainWarp",
+  type: "vec2",
+  inputs: [
+    { name: "source", type: "vec2" },
+    { name: "shape", type: "float" },
+    { name: "t", type: "float" },
+    { name: "amount", type: "float" },
+  ],
+});
+
+const paperFbm = Fn(([source]) => {
+  const p = vec2(source).toVar();
+  const value = float(0).toVar();
+  const amplitude = float(0.5).toVar();
+  Loop(4, () => {
+    value.addAssign(amplitude.mul(noise(p)));
+    p.assign(p.mul(2.02).add(vec2(17.13, 9.41)));
+    amplitude.mulAssign(0.52);
+  });
+  return value;
+}).setLayout({
+  name: "meshPaperFbm",
+  type: "float",
+  inputs: [{ name: "source", type: "vec2" }],
+});
+
+const pickPalette = Fn(([t, palette]) => {
+  const color = vec3(0).toVar();
+  If(palette.lessThan(0.5), () => {
+    color.assign(
+      mix(
+        mix(vec3(0.17, 0.67, 0.98), vec3(0.99, 0.47, 0.89), smoothstep(0.08, 0.66, t)),
+        vec3(0.99, 0.88, 0.41),
+        smoothstep(0.52, 0.95, t),
+      ),
+    );
+  })
+    .ElseIf(palette.lessThan(1.5), () => {
+      color.assign(
+        mix(
+          mix(vec3(0.22, 0.87, 0.82), vec3(0.3, 0.49, 0.98), smoothstep(0.12, 0.7, t)),
+          vec3(0.78, 0.61, 0.99),
+          smoothstep(0.56, 0.96, t),
+        ),
+      );
+    })
+    .Else(() => {
+      color.assign(vec3(mix(float(0.4), float(0.98), t)));
+    });
+  return color;
+}).setLayout({
+  name: "meshPickPalette",
+  type: "vec3",
+  inputs: [
+    { name: "t", type: "float" },
+    { name: "palette", type: "float" },
+  ],
+});
+
+// The TSL counterpart of buildInteractionModeGlsl: picks a mode by its index
+// in modeIndex and returns the field it wrote.
+function buildInteractionModeNodes(modes, modeIndex, inputs) {
+  const field = {
+    flow: vec2(0).toVar(),
+    pressureScale: float(0).toVar(),
+    dragScale: float(0).toVar(),
+    fieldScale: float(0).toVar(),
+  };
+  let branch = null;
+  modes.forEach((mode, index) => {
+    const assign = () => {
+      // Heroes drop to WebGL while a mode without a node is active.
+      if (!mode.node) return;
+      const result = mode.node(TSL, inputs);
+      for (const key of Object.keys(field)) field[key].assign(result[key]);
+    };
+    if (index === modes.length - 1) {
+      if (branch) branch.Else(assign);
+      else assign();
+      return;
+    }
+    const test = modeIndex.lessThan(index + 0.5);
+    branch = branch ? branch.ElseIf(test, assign) : If(test, assign);
+  });
+  return field;
+}
+
+export function createBackgroundMaterial(uniforms, modes) {
+  const u = createUniformNodes(uniforms);
+  const aBase = attribute("aBase", "vec2");
+  const aGlyph = attribute("aGlyph", "float");
+  const aTone = attribute("aTone", "float");
+  const aSize = attribute("aSize", "float");
+  const aSeed = attribute("aSeed", "float");
+  const time = u.uTime;
+  const chaos = u.uChaos;
+  const fxAmount = u.uFxAmount;
+  const vWorld = varyingProperty("vec2", "vWorld");
+  const vPulse = varying(
+    sin(time.mul(chaos.mul(0.3).add(0.38)).add(aSeed.mul(10))).mul(0.55).add(0.45),
+  );
+
+  const material = new NodeMaterial();
+  material.transparent = true;
+  material.depthWrite = false;
+  material.uniforms = u;
+
+  material.positionNode = Fn(() => {
+    const stream = sin(time.mul(chaos.mul(0.25).add(0.24)).add(aSeed.mul(6.2831))).mul(
+      chaos.mul(6).add(4),
+    );
+    const wobble = vec2(
+      sin(time.mul(chaos.mul(0.4).add(0.28)).add(aSeed.mul(3.3))).mul(chaos.mul(8).add(5)),
+      cos(time.mul(chaos.mul(0.5).add(0.31)).add(aSeed.mul(4.1))).mul(chaos.mul(7).add(4)),
+    ).mul(u.uSettle.mul(-0.45).add(1));
+
+    const p = aBase
+      .add(wobble)
+      .add(vec2(stream, 0))
+      .add(u.uDrift.mul(chaos.mul(8).add(10)))
+      .toVar();
+    const ambient = vec2(
+      sin(p.y.add(aSeed.mul(80)).mul(0.014).add(time.mul(0.37))).add(
+        cos(p.x.add(p.y).mul(0.008).sub(time.mul(0.29))),
+      ),
+      cos(p.x.sub(aSeed.mul(95)).mul(0.013).sub(time.mul(0.34))).add(
+        sin(p.x.sub(p.y).mul(0.007).add(time.mul(0.31))),
+      ),
+    );
+    p.addAssign(
+      normalize(ambient.add(vec2(0.001, -0.001)))
+        .mul(chaos.mul(4.5).add(2))
+        .mul(u.uSettle.mul(-0.42).add(1)),
+    );
+
+    const delta = p.sub(u.uPointer).toVar();
+    const dist = length(delta).add(0.0001).toVar();
+    const radial = clamp(dist.div(u.uPointerRadius).oneMinus(), 0, 1).toVar();
+    const influence = radial
+      .mul(radial)
+      .mul(radial.mul(-2).add(3))
+      .mul(u.uPointerStrength)
+      .toVar();
+    const dir = delta.div(dist).toVar();
+    const organic = sin(time.mul(0.41).add(aSeed.mul(9))).mul(0.5).add(0.5).toVar();
+    const field = buildInteractionModeNodes(modes, u.uMode, {
+      p,
+      delta,
+      dist,
+      dir,
+      organic,
+      seed: aSeed,
+      time,
+    });
+
+    const flow = normalize(field.flow.add(vec2(0.0001, 0.0002)));
+    const pressure = float(0.52)
+      .sub(radial)
+      .mul(u.uPointerWarp)
+      .mul(influence)
+      .mul(field.pressureScale);
+    const drag = u.uPointerVelocity.mul(influence).mul(field.dragScale);
+    p.addAssign(flow.mul(u.uPointerWarp).mul(influence).mul(field.fieldScale));
+    p.addAssign(drag.add(dir.mul(pressure)));
+
+    vWorld.assign(p);
+    return vec3(positionLocal.xy.mul(aSize).add(p), u.uLayerDepth);
+  })();
+
+  material.fragmentNode = Fn(() => {
+    const cellUv = uv();
+    const color = vec4(0).toVar();
+
+    If(u.uStyle.lessThan(0.5), () => {
+      const texel = u.uAtlas.sample(glyphAtlasUv(cellUv, aGlyph, u.uGlyphGrid));
+      const alpha = texel.a
+        .mul(vPulse.mul(0.2).add(0.12))
+        .mul(u.uAlpha)
+        .mul(fxAmount.mul(0.7).add(0.3))
+        .toVar();
+      If(alpha.lessThan(0.004), () => {
+        Discard();
+      });
+      const luminance = clamp(aTone.mul(0.2).add(0.74).add(vPulse.mul(0.1)), 0, 1);
+      color.assign(vec4(vec3(luminance), min(alpha, 1)));
+    })
+      .ElseIf(u.uStyle.lessThan(1.5), () => {
+        const grid = vWorld.div(max(mix(float(22), float(8), u.uDotDensity), 2)).toVar();
+        const jitter = hash(
+          floor(grid).add(vec2(aSeed.mul(19.3), aSeed.mul(-11.7))),
+        ).toVar();
+        const local = fract(grid)
+          .sub(0.5)
+          .add(
+            vec2(
+              sin(time.mul(0.32).add(jitter.mul(6.2831))),
+              cos(time.mul(0.27).add(jitter.mul(5.17))),
+            ).mul(fxAmount.mul(0.11).add(0.05)),
+          );
+        const dotPulse = sin(time.mul(0.54).add(jitter.mul(6.2831)).add(aSeed.mul(7)))
+          .mul(0.18)
+          .add(0.82);
+        const dotField = backgroundDotShapeMask(local.mul(2), u.uDotShape).mul(dotPulse).toVar();
+        const dotCellMask = backgroundDotShapeMask(cellUv.sub(0.5).mul(2), u.uDotShape);
+        const alpha = dotCellMask
+          .mul(dotField)
+          .mul(u.uAlpha)
+          .mul(fxAmount.mul(0.92).add(0.08))
+          .toVar();
+        If(alpha.lessThan(0.004), () => {
+          Discard();
+        });
+        color.assign(vec4(vec3(clamp(dotField.mul(0.22).add(0.8), 0, 1)), min(alpha, 1)));
+      })
+      .Else(() => {
+        const worldUv = vWorld.div(max(u.uViewport, vec2(1))).mul(2.7).toVar();
+        const warped = backgroundGrainWarp(
+          worldUv,
+          u.uGrainShape,
+          time.mul(0.4),
+          fxAmount,
+        ).toVar();
+        const nA = noise(
+          warped.mul(fxAmount.mul(2.2).add(4.4)).add(vec2(time.mul(0.05), time.mul(-0.03))),
+        ).toVar();
+        const nB = noise(
+          warped.mul(fxAmount.mul(3.1).add(8.1)).sub(vec2(time.mul(0.08), time.mul(0.06))),
+        ).toVar();
+        const ridge = abs(
+          sin(
+            nA
+              .mul(1.25)
+              .add(nB.mul(0.92))
+              .add(worldUv.x.mul(0.64))
+              .sub(worldUv.y.mul(0.48))
+              .mul(6.2831),
+          ),
+        );
+        const grain = clamp(
+          nA.mul(0.52).add(0.18).add(nB.mul(0.23)).add(ridge.mul(0.36)),
+          0,
+          1,
+        ).toVar();
+        const edge = smoothstep(0, 0.16, cellUv.x)
+          .mul(smoothstep(0.84, 1, cellUv.x).oneMinus())
+          .mul(smoothstep(0, 0.16, cellUv.y))
+          .mul(smoothstep(0.84, 1, cellUv.y).oneMinus());
+        const alpha = grain
+          .mul(edge)
+          .mul(u.uAlpha)
+          .mul(fxAmount.mul(0.9).add(0.06))
+          .toVar();
+        If(alpha.lessThan(0.004), () => {
+          Discard();
+        });
+        color.assign(vec4(vec3(clamp(grain.mul(0.32).add(0.68), 0, 1)), min(alpha, 1)));
+      });
+
+    return color;
+  })();
+
+  return material;
+}
+
+// Only the attribute-driven particle path exists here; the GPU simulation is
+// written against WebGLRenderer.
+export function createForegroundMaterial(uniforms) {
+  const u = createUniformNodes(uniforms);
+  const aOffset = attribute("aOffset", "vec2");
+  const aGlyph = attribute("aGlyph", "float");
+  const aTone = attribute("aTone", "float");
+  const aSize = attribute("aSize", "float");
+  const aDepth = attribute("aDepth", "float");
+  const aTintWhite = attribute("aTintWhite", "vec3");
+  const aTintColor = attribute("aTintColor", "vec3");
+
+  const material = new NodeMaterial();
+  material.transparent = true;
+  material.depthWrite = false;
+  material.uniforms = u;
+
+  material.positionNode = Fn(() => {
+    const zNoise = sin(u.uTime.mul(1.3).add(aDepth.mul(0.03)).add(aGlyph.mul(2.1))).mul(
+      u.uDepthAmp,
+    );
+    const z = aDepth.mul(u.uSettle.oneMinus()).add(zNoise);
+    const size = aSize.mul(u.uSolidify.mul(0.06).add(1));
+    return vec3(positionLocal.xy.mul(size).add(aOffset), z);
+  })();
+
+  material.fragmentNode = Fn(() => {
+    const atlasUv = glyphAtlasUv(uv(), aGlyph, u.uGlyphGrid).toVar();
+    const ink = mix(
+      u.uAtlasLine.sample(atlasUv).a,
+      u.uAtlasSolid.sample(atlasUv).a,
+      u.uSolidify,
+    );
+    const alpha = ink.mul(u.uAlpha).toVar();
+    If(alpha.lessThan(0.01), () => {
+      Discard();
+    });
+
+    const whiteShade = mix(aTintWhite, vec3(1), u.uSolidify.mul(0.48));
+    const vividShade = mix(aTintColor, vec3(1), u.uSolidify.mul(0.18));
+    const toneLift = aTone.mul(0.18).add(0.88);
+    const color = clamp(
+      mix(whiteShade, vividShade, clamp(u.uColorMode, 0, 1)).mul(toneLift),
+      0,
+      1,
+    );
+    return vec4(color, alpha);
+  })();
+
+  return material;
+}
+
+// The quad's uv runs top-down on WebGPU; flip it so pointer and vignette
+// maths match the WebGL passes.
+function getScreenUv() {
+  return vec2(uv().x, uv().y.oneMinus());
+}
+
+function paperMeshNode(input, u) {
+  return Fn(() => {
+    const base = vec4(input).toVar();
+    const screenUv = getScreenUv().toVar();
+    const centered = screenUv.mul(2).sub(1).toVar();
+    const pointer = u.uPointer.mul(2).sub(1).toVar();
+    const toPointer = centered.sub(pointer).toVar();
+    const pointerDist = length(toPointer).toVar();
+    const pointerFocus = smoothstep(0, 1.1, pointerDist).oneMinus().toVar();
+    const pointerDir = normalize(toPointer.add(vec2(0.001, -0.001))).toVar();
+    const time = u.uTime.mul(u.uSpeed.mul(0.74).add(0.66)).toVar();
+    const amount = u.uEffectAmount;
+
+    const flow = centered
+      .mul(1.7)
+      .add(vec2(time.mul(0.075), time.mul(-0.062)))
+      .add(pointerDir.mul(pointerFocus).mul(u.uEnergy.mul(0.12).add(0.18)))
+      .toVar();
+    const effectUv = vec2(flow).toVar();
+
+    If(u.uEffect.lessThan(0.5), () => {
+      const warp = vec2(
+        paperFbm(flow.mul(1.7).add(vec2(2.1, -1.6))).sub(0.5),
+        paperFbm(flow.mul(1.5).add(vec2(-3.4, 4.2))).sub(0.5),
+      );
+      effectUv.addAssign(warp.mul(amount.mul(0.65)));
+    })
+      .ElseIf(u.uEffect.lessThan(1.5), () => {
+        const angle = amount
+          .mul(0.86)
+          .add(0.22)
+          .mul(exp(pointerDist.mul(-1.7)))
+          .mul(sin(time.mul(0.32)))
+          .toVar();
+        const c = cos(angle);
+        const s = sin(angle);
+        effectUv.assign(
+          vec2(
+            toPointer.x.mul(c).sub(toPointer.y.mul(s)),
+            toPointer.x.mul(s).add(toPointer.y.mul(c)),
+          ).add(pointer),
+        );
+      })
+      .ElseIf(u.uEffect.lessThan(2.5), () => {
+        effectUv.addAssign(
+          vec2(
+            sin(centered.y.mul(amount.mul(9).add(7)).add(time.mul(0.74))),
+            cos(centered.x.mul(amount.mul(8).add(7.6)).sub(time.mul(0.69))),
+          ).mul(amount.mul(0.44).add(0.14)),
+        );
+      })
+      .Else(() => {
+        const ray = atan(toPointer.y, toPointer.x);
+        const beam = sin(ray.mul(amount.mul(24).add(6)).sub(time.mul(0.7)));
+        const burst = exp(pointerDist.negate().mul(amount.mul(2.2).add(1.3)));
+        effectUv.addAssign(pointerDir.mul(beam).mul(burst).mul(amount.mul(0.64).add(0.36)));
+      });
+
+    const nA = paperFbm(
+      effectUv.add(vec2(paperFbm(effectUv.mul(1.21)), paperFbm(effectUv.mul(1.37)))),
+    ).toVar();
+    const nB = paperFbm(effectUv.mul(1.9).sub(vec2(3.1, -1.7))).toVar();
+    const ridge = abs(
+      sin(
+        nA
+          .add(nB.mul(0.7))
+          .add(centered.x.mul(0.35))
+          .sub(centered.y.mul(0.28))
+          .add(time.mul(0.09))
+          .mul(6.2831),
+      ),
+    );
+
+    const tA = clamp(nA.mul(0.72).add(ridge.mul(0.48)), 0, 1).toVar();
+    const tB = fract(tA.add(0.19).add(sin(time.mul(0.17).add(centered.x.mul(2.3))).mul(0.11)));
+    const tint = mix(
+      pickPalette(tA, u.uPalette),
+      pickPalette(tB, u.uPalette),
+      sin(time.mul(0.13).add(centered.y.mul(1.9))).mul(0.5).add(0.5),
+    );
+
+    const grain = hash(screenUv.mul(vec2(1600, 900)).add(time.mul(63.7))).sub(0.5).mul(0.085);
+    const pulse = sin(time.mul(0.41)).mul(0.14).add(0.88);
+    const intensity = clamp(u.uIntensity, 0, 1)
+      .mul(amount.mul(0.35).add(0.8))
+      .mul(pointerFocus.mul(0.26).add(0.74))
+      .mul(u.uEnergy.mul(0.3).add(0.84))
+      .mul(pulse);
+
+    const overlay = tint.mul(0.4).add(vec3(grain));
+    const color = mix(base.rgb, clamp(base.rgb.add(overlay), 0, 1), intensity);
+    return vec4(color, base.a);
+  })();
+}
+
+function filmGrainNode(input, u) {
+  return Fn(() => {
+    const base = vec4(input).toVar();
+    const screenUv = getScreenUv().toVar();
+    const grain = hash(screenUv.mul(vec2(1920, 1080)).add(u.uTime.mul(41.7)))
+      .sub(0.5)
+      .mul(u.uNoise);
+    const vignette = smoothstep(0.24, 1.2, length(screenUv.sub(0.5))).oneMinus();
+    const color = base.rgb.add(grain).mul(mix(float(1), vignette, u.uVignette));
+    return vec4(color, base.a);
+  })();
+}
+
+// Render, bloom, paper and film in one node graph, fed the same uniform
+// definitions as the WebGL ShaderPasses. bloomPass mirrors the
+// UnrealBloomPass fields updateScene writes.
+export function createPostProcessing(renderer, scene, camera, passUniforms) {
+  const scenePass = pass(scene, camera);
+  const sceneColor = scenePass.getTextureNode("output");
+  const bloomNode = bloom(sceneColor, 0.24, 0.45, 0.92);
+  const paperUniforms = createUniformNodes(passUniforms.paper);
+  const filmUniforms = createUniformNodes(passUniforms.film);
+
+  const postProcessing = createOutputPipeline(
+    renderer,
+    sceneColor.add(bloomNode),
+    paperUniforms,
+    filmUniforms,
+  );
+
+  return {
+    paperUniforms,
+    filmUniforms,
+    bloomPass: {
+      set strength(value) {
+        bloomNode.strength.value = value;
+      },
+      set radius(value) {
+        bloomNode.radius.value = value;
+      },
+      set threshold(value) {
+        bloomNode.threshold.value = value;
+      },
+    },
+    render() {
+      postProcessing.render();
+    },
+    // A second chain for snapshots and exports. A pass node sizes itself from
+    // the canvas, which would have to be resized (and so cleared) for every
+    // capture, so the scene is drawn into a target of the capture size and
+    // the chain reads that instead. Bloom still blurs at the screen's
+    // resolution and is sampled back up, which its soft glow hides.
+    createCapture(width, height) {
+      const sceneTarget = new RenderTarget(width, height, { type: HalfFloatType });
+      const captureColor = texture(sceneTarget.texture);
+      const captureBloom = bloom(captureColor, 0.24, 0.45, 0.92);
+      const capturePipeline = createOutputPipeline(
+        renderer,
+        captureColor.add(captureBloom),
+        paperUniforms,
+        filmUniforms,
+      );
+
+      return {
+        render(outputTarget) {
+          captureBloom.strength.value = bloomNode.strength.value;
+          captureBloom.radius.value = bloomNode.radius.value;
+          captureBloom.threshold.value = bloomNode.threshold.value;
+          const previousTarget = renderer.getRenderTarget();
+          try {
+            renderer.setRenderTarget(sceneTarget);
+            renderer.render(scene, camera);
+            renderer.setRenderTarget(outputTarget);
+            capturePipeline.render();
+          } finally {
+            renderer.setRenderTarget(previousTarget);
+          }
+        },
+        dispose() {
+          capturePipeline.dispose();
+          captureBloom.dispose();
+          sceneTarget.dispose();
+        },
+      };
+    },
+    dispose() {
+      postProcessing.dispose();
+      bloomNode.dispose();
+      scenePass.dispose();
+    },
+  };
+}
+
+function createOutputPipeline(renderer, color, paperUniforms, filmUniforms) {
+  const pipeline = new PostProcessing(
+    renderer,
+    filmGrainNode(paperMeshNode(color, paperUniforms), filmUniforms),
+  );
+  // The WebGL passes write their colours out untouched, so skip the sRGB
+  // output transform to match.
+  pipeline.outputColorTransform = false;
+  return pipeline;
+}
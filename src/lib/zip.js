@@ -0,0 +1,101 @@
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n += 1) {
+    let c = n;
+    for (let k = 0; k < 8; k += 1) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i += 1) {
+    crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function toDosDateTime(date) {
+  return {
+    time:
+      (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    day:
+      ((Math.max(1980, date.getFullYear()) - 1980) << 9) |
+      ((date.getMonth() + 1) << 5) |
+      date.getDate(),
+  };
+}
+
+// Writes stored (uncompressed) entries only. PNG frames are already deflated,
+// so compressing them again costs time for almost no size win. Entry bodies
+// stay as Blobs so large sequences don't have to live in one ArrayBuffer.
+export function createZipWriter() {
+  const encoder = new TextEncoder();
+  const { time, day } = toDosDateTime(new Date());
+  const parts = [];
+  const entries = [];
+  let offset = 0;
+
+  async function addFile(name, data) {
+    const bytes = data instanceof Blob ? new Uint8Array(await data.arrayBuffer()) : data;
+    const nameBytes = encoder.encode(name);
+    const size = bytes.length;
+    const crc = crc32(bytes);
+    if (entries.length >= 0xffff || offset + 30 + nameBytes.length + size > 0xffffffff) {
+      throw new Error("Archive is too large; lower the resolution, fps or tail.");
+    }
+
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, 0x04034b50, true);
+    header.setUint16(4, 20, true);
+    header.setUint16(6, 0x0800, true);
+    header.setUint16(8, 0, true);
+    header.setUint16(10, time, true);
+    header.setUint16(12, day, true);
+    header.setUint32(14, crc, true);
+    header.setUint32(18, size, true);
+    header.setUint32(22, size, true);
+    header.setUint16(26, nameBytes.length, true);
+    header.setUint16(28, 0, true);
+
+    entries.push({ nameBytes, crc, size, offset });
+    parts.push(header.buffer, nameBytes, data instanceof Blob ? data : bytes);
+    offset += 30 + nameBytes.length + size;
+  }
+
+  function finish() {
+    const central = [];
+    let centralSize = 0;
+    for (const entry of entries) {
+      const record = new DataView(new ArrayBuffer(46));
+      record.setUint32(0, 0x02014b50, true);
+      record.setUint16(4, 20, true);
+      record.setUint16(6, 20, true);
+      record.setUint16(8, 0x0800, true);
+      record.setUint16(10, 0, true);
+      record.setUint16(12, time, true);
+      record.setUint16(14, day, true);
+      record.setUint32(16, entry.crc, true);
+      record.setUint32(20, entry.size, true);
+      record.setUint32(24, entry.size, true);
+      record.setUint16(28, entry.nameBytes.length, true);
+      record.setUint32(42, entry.offset, true);
+      central.push(record.buffer, entry.nameBytes);
+      centralSize += 46 + entry.nameBytes.length;
+    }
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, end.buffer], { type: "application/zip" });
+  }
+
+  return { addFile, finish };
+}
@@ -2,6 +2,7 @@ import { Analytics } from "@vercel/analytics/react";
 import { StrictMode } from "react";
 import { createRoot } from "react-dom/client";
 import App from "./App.jsx";
+import "./components/TypographyMeshHero.css";
 import "./styles.css";
 
 createRoot(document.getElementById("root")).render(
@@ -3,6 +3,11 @@ import react from "@vitejs/plugin-react";
 
 export default defineConfig({
   plugins: [react()],
+  // Workers are started as module workers, and the scene worker lazy-loads
+  // the postprocessing chunk, which classic (IIFE) worker bundles cannot split.
+  worker: {
+    format: "es",
+  },
   build: {
     rollupOptions: {
       output: {
@@ -10,6 +15,14 @@ export default defineConfig({
           if (id.includes("node_modules/react") || id.includes("node_modules/react-dom")) {
             return "react-vendor";
           }
+          // Only loaded for ?renderer=webgpu, so keep it out of three-core.
+          if (
+            id.includes("node_modules/three/build/three.webgpu") ||
+            id.includes("node_modules/three/build/three.tsl") ||
+            id.includes("node_modules/three/examples/jsm/tsl/")
+          ) {
+            return "three-webgpu";
+          }
           if (id.includes("node_modules/three/examples/")) {
             return "three-extras";
           }
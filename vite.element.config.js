@@ -0,0 +1,27 @@
+import { defineConfig } from "vite";
+import react from "@vitejs/plugin-react";
+
+// Library build of the <geist-mesh> custom element. React and three are bundled
+// in so the element can be dropped into pages that do not use React.
+export default defineConfig({
+  plugins: [react()],
+  // Workers are started as module workers, and the scene worker lazy-loads
+  // the postprocessing chunk, which classic (IIFE) worker bundles cannot split.
+  worker: {
+    format: "es",
+  },
+  // Relative so the worker chunk resolves next to the element script.
+  base: "./",
+  define: {
+    "process.env.NODE_ENV": JSON.stringify("production"),
+  },
+  build: {
+    outDir: "dist/element",
+    emptyOutDir: true,
+    lib: {
+      entry: "src/geist-mesh.jsx",
+      formats: ["es"],
+      fileName: "geist-mesh",
+    },
+  },
+});